@@ -5,6 +5,7 @@ const path = require('path');
 const fs = require('fs');
 const vapdeploy = require('../src/index.js');
 const log = require('../src/utils/index.js').log;
+const formatPlan = require('../src/lib/index.js').formatPlan;
 
 function noop2Callback(v, d, cb) {
   cb(null, null);
@@ -19,29 +20,23 @@ function renameIfExsits(renamePath, renamePathOutput, cb) {
   return null;
 }
 
-// handle cli
-const cli = meow(`
-    Usage
-      $ vapdeploy <path to config>
-    Options
-      --help           the help CLI
-      --version, -v    the package verson number
-    Example
-      $ vapdeploy ./vapdeploy.config.testnet.js
-`, {
-  alias: {},
-});
+// assign config overrides over a config object or method
+function overrideConfig(config, overrides) {
+  if (typeof config === 'function') {
+    return (options) => Object.assign({}, config(options), overrides);
+  }
 
-if (typeof cli.input[0] === 'undefined') {
-  cli.showHelp();
-} else {
-  const configPath = path.resolve(cli.input[0]);
-  const configObject = require(configPath); // eslint-disable-line
+  return Object.assign({}, config, overrides);
+}
 
+// run the deployment, then write the output (or the partial output on a failure)
+function deployAndWrite(configObject) {
   vapdeploy(configObject, (deployError, deployResult) => {
     if (deployError) {
       log('Deployment error', deployError);
-      process.exit(1);
+
+      // nothing was deployed, there is no partial output to write
+      if (!deployResult) { process.exit(1); }
     }
 
     // config from result
@@ -51,7 +46,8 @@ if (typeof cli.input[0] === 'undefined') {
     if (typeof config.output === 'object') {
       const outputString = deployResult.output;
       const outputFile = path.resolve(config.output.path, config.output.filename);
-      const outputSafe = config.output.safe || false;
+      // the output file checkpointed in this run was backed up by its first checkpoint
+      const outputSafe = (config.output.safe || false) && !deployResult.checkpointed;
       const outputFileSafe = `${outputFile}_backup_${(new Date()).toISOString()}`;
       const renameMethod = outputSafe ? renameIfExsits : noop2Callback;
 
@@ -68,9 +64,101 @@ if (typeof cli.input[0] === 'undefined') {
             process.exit(1);
           }
 
+          // the partial output keeps the contracts deployed before the failure
+          if (deployError) {
+            log(`Partial deployment file written to: ${outputFile}`);
+            process.exit(1);
+          }
+
           log(`Deployment file written to: ${outputFile}`);
         });
       });
+    } else if (deployError) {
+      process.exit(1);
     }
   });
 }
+
+// handle cli
+const cli = meow(`
+    Usage
+      $ vapdeploy <path to config>
+      $ vapdeploy plan <path to config>
+      $ vapdeploy broadcast <path to signed transactions file>
+    Options
+      --help           the help CLI
+      --version, -v    the package verson number
+      --force, -f      redeploy all contracts, even if already deployed
+      --offline, -o    write the unsigned creation transactions to this file, nothing is sent
+      --config, -c     the config of the broadcast, if not the config the transactions were exported with
+    Example
+      $ vapdeploy ./vapdeploy.config.testnet.js
+      $ vapdeploy plan ./vapdeploy.config.testnet.js
+      $ vapdeploy ./vapdeploy.config.mainnet.js --offline ./unsigned.json
+      $ vapdeploy broadcast ./signed.json
+`, {
+  alias: {
+    f: 'force',
+    o: 'offline',
+    c: 'config',
+  },
+  boolean: ['force'],
+  string: ['offline', 'config'],
+});
+
+// the plan command, shows what would be deployed or skipped, nothing is sent or written
+const planCommand = cli.input[0] === 'plan';
+
+// the broadcast command, sends the signed transactions exported by an offline run
+const broadcastCommand = cli.input[0] === 'broadcast';
+
+if (typeof cli.input[(planCommand || broadcastCommand) ? 1 : 0] === 'undefined') {
+  cli.showHelp();
+} else if (planCommand) {
+  const configPath = path.resolve(cli.input[1]);
+  const configObject = overrideConfig(require(configPath), Object.assign({ plan: true }, cli.flags.force ? { force: true } : {})); // eslint-disable-line
+
+  vapdeploy(configObject, (planError, planResult) => {
+    if (planError) {
+      log('Plan error', planError);
+      process.exit(1);
+    }
+
+    log(`Deployment plan:\n\n${formatPlan(planResult.plan)}\n`);
+  });
+} else if (broadcastCommand) {
+  const signedFile = path.resolve(cli.input[1]);
+  const signed = JSON.parse(fs.readFileSync(signedFile, 'utf8'));
+  const configPath = path.resolve(cli.flags.config || signed.config);
+
+  deployAndWrite(overrideConfig(require(configPath), { broadcast: signed.environments })); // eslint-disable-line
+} else if (typeof cli.flags.offline !== 'undefined' && (typeof cli.flags.offline !== 'string' || cli.flags.offline.trim() === '')) {
+  // an offline run without a file must not fall through to a live deployment
+  log('Offline deployment error: --offline (-o) needs the path of the unsigned transactions file to write, i.e. --offline ./unsigned.json, nothing was sent.');
+  process.exit(1);
+} else if (typeof cli.flags.offline !== 'undefined') {
+  const configPath = path.resolve(cli.input[0]);
+  const configObject = overrideConfig(require(configPath), Object.assign({ offline: true }, cli.flags.force ? { force: true } : {})); // eslint-disable-line
+  const unsignedFile = path.resolve(cli.flags.offline);
+
+  vapdeploy(configObject, (offlineError, offlineResult) => {
+    if (offlineError) {
+      log('Offline deployment error', offlineError);
+      process.exit(1);
+    }
+
+    // the signer fills in the signedTransaction of each transaction
+    fs.writeFile(unsignedFile, JSON.stringify({ config: configPath, environments: offlineResult.unsigned }, null, 2), (writeFileError) => {
+      if (writeFileError) {
+        log(`while writting unsigned transactions file to ${unsignedFile}: ${writeFileError}`);
+        process.exit(1);
+      }
+
+      log(`Unsigned transactions file written to: ${unsignedFile}`);
+    });
+  });
+} else {
+  const configPath = path.resolve(cli.input[0]);
+
+  deployAndWrite(overrideConfig(require(configPath), cli.flags.force ? { force: true } : {})); // eslint-disable-line
+}
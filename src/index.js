@@ -1,15 +1,29 @@
 const utils = require('./utils/index.js');
 const lib = require('./lib/index.js');
 const cloneDeep = require('clone-deep');
+const deepEqual = require('deep-equal');
 const deployPlugins = require('./plugins/index.js');
 const bnToString = utils.bnToString;
 const error = utils.error;
+const writeOutputFile = utils.writeOutputFile;
 const configError = lib.configError;
 const entrySourceMap = lib.entrySourceMap;
 const loadEnvironment = lib.loadEnvironment;
 const loadContracts = lib.loadContracts;
+const moduleEnvironments = lib.moduleEnvironments;
+const networkMismatch = lib.networkMismatch;
 const buildDeployer = lib.buildDeployMethod;
+const buildTransactor = lib.buildTransactMethod;
 const processOutput = lib.processOutput;
+const runPluginHook = lib.runPluginHook;
+const runDeploymentModule = lib.runDeploymentModule;
+const buildNonceManager = lib.buildNonceManager;
+const environmentQuery = lib.environmentQuery;
+const deploymentModule = lib.deploymentModule;
+const dryRunDeployment = lib.dryRunDeployment;
+const preflightCheck = lib.preflightCheck;
+const environmentPlan = lib.environmentPlan;
+const unsignedDeployment = lib.unsignedDeployment;
 const transformContracts = lib.transformContracts;
 
 
@@ -18,13 +32,25 @@ const transformContracts = lib.transformContracts;
  *
  * @method vapdeploy
  * @param {Object|Function} config the vapdeploy config object or method
- * @param {Function} callbackInput the final callback that returns the output
- * @callback {Object} outputObject returns the final config object, and contracts output
+ * @param {Function} callbackInput the final callback that returns the output, if none, a promise is returned
+ * @callback {Object} outputObject returns the final config object, and contracts output (or the plan, in plan mode)
+ * @return {Promise|Undefined} result resolves the final config object and contracts output (or plan), if no callback
  */
 module.exports = function vapdeploy(config, callbackInput) { // eslint-disable-line
-  // this is the initial deployed contracts store
-  var deployedContracts = {}; // eslint-disable-line
-  const callback = callbackInput || function cb() {};
+  if (typeof callbackInput !== 'function') {
+    return new Promise((resolve, reject) => {
+      vapdeploy(config, (deployError, deployResult) => {
+        if (deployError) {
+          // the partial result, with the contracts deployed before the failure, if any
+          reject(Object.assign(deployError, (deployResult ? { result: deployResult } : {})));
+        } else {
+          resolve(deployResult);
+        }
+      });
+    });
+  }
+
+  const callback = callbackInput;
 
   if (typeof config !== 'function' && typeof config !== 'object') {
     return callback(error('config input param must be a type Object or Function.'), null);
@@ -38,71 +64,332 @@ module.exports = function vapdeploy(config, callbackInput) { // eslint-disable-l
     return callback(error(configError(configObject)), null);
   }
 
-  // stage loaders, deployer, environment transform, plugins, entry, env, deployment
+  // stage loaders, deployer, environment transform, plugins, entry, environments, deployment
   const buildDeployMethod = configObject.deployer || buildDeployer;
+  const buildTransactMethod = configObject.transactor || buildTransactor;
   const buildEnvironment = configObject.environmentLoader || loadEnvironment;
   const entry = configObject.entry;
   const modulePreLoaders = configObject.module.preLoaders || [];
   const moduleLoaders = configObject.module.loaders || [];
-  const moduleEnvironment = configObject.module.environment;
-  const moduleDeloyment = configObject.module.deployment;
+  const environments = moduleEnvironments(configObject.module);
   const plugins = configObject.plugins || [];
   const loadEntry = configObject.sourceMapper || entrySourceMap;
+  const outputConfig = configObject.output || {};
+
+  // the deployed contracts of the environments completed in this run, by environment name
+  const deployedEnvironments = {};
+
+  // the plan of each environment, by environment name, in plan mode nothing is sent
+  const planMode = configObject.plan === true;
+  const environmentPlans = {};
+
+  // the unsigned creation transactions of each environment, in offline mode nothing is sent
+  const offlineMode = configObject.offline === true;
+  const unsignedEnvironments = {};
+
+  // the signed creation transactions to broadcast, by environment name
+  const broadcast = configObject.broadcast;
+
+  // write a checkpoint output string, with the custom checkpoint method or to the output file
+  // (the first checkpoint backs up the previous output file, if the output is safe)
+  let checkpointsWritten = 0;
+  const writeCheckpoint = (outputString, checkpointCallback) => {
+    if (typeof outputConfig.checkpoint === 'function') { return outputConfig.checkpoint(outputString, checkpointCallback); }
+
+    checkpointsWritten += 1;
 
-  // build report method
-  const reportMethod = (name, data, address, inputs, transactionObject, receipt) => {
-    deployedContracts = Object.assign({}, cloneDeep(deployedContracts), bnToString({
-      [name]: Object.assign({}, cloneDeep(deployedContracts[name] || {}), cloneDeep(data), { name, address, inputs, transactionObject, receipt }),
-    }, 16, true));
+    return writeOutputFile(outputConfig, outputString, (outputConfig.safe === true && checkpointsWritten === 1), checkpointCallback);
   };
 
-  // build sourcemap from entry
-  loadEntry(entry, (sourceMapError, sourceMap) => { // eslint-disable-line
-    if (sourceMapError !== null) { return callback(error(sourceMapError), null); }
+  // the result of an output, `checkpointed` once the output file holds a checkpoint of this run
+  // (its previous content is already backed up, so the final write must not back it up again)
+  const outputResult = outputString => Object.assign({ config: configObject, output: outputString },
+    (checkpointsWritten > 0 ? { checkpointed: true } : {}));
+
+  // checkpoint an output object, writes are queued so the latest output is written last
+  // (a pending transaction is written to the output file even without checkpoints, so an interrupted run can resume it)
+  let checkpoints = Promise.resolve();
+  const checkpointMethod = (checkpointOutput, scopedBaseContracts, scopedContracts, environment, pendingWrite) => {
+    if (!outputConfig.checkpoint && !(pendingWrite === true && typeof outputConfig.filename === 'string')) { return; }
+
+    checkpoints = checkpoints.then(() => new Promise((resolve) => {
+      processOutput(plugins, checkpointOutput, configObject, scopedBaseContracts, scopedContracts, environment, (pluginError, outputString) => {
+        if (pluginError) {
+          utils.log(`while writting checkpoint: ${pluginError}`);
+          return resolve();
+        }
+
+        return writeCheckpoint(outputString, (checkpointError) => {
+          if (checkpointError) { utils.log(`while writting checkpoint: ${checkpointError}`); }
+          resolve();
+        });
+      });
+    }));
+  };
+
+  // run a plugin lifecycle hook, with the config in the hook context
+  const hookMethod = (hookName, value, context) => runPluginHook(plugins, hookName, value, Object.assign({ config: configObject }, context));
+
+  // the result of the last environment completed before the running one, the partial result of
+  // an environment failing before its deployment (i.e. its node can not be reached)
+  let completedResult = null;
+  const completedOutput = () => new Promise((resolve) => {
+    if (completedResult === null || planMode || offlineMode) { return resolve(null); }
+
+    return processOutput(plugins, completedResult.output, configObject, completedResult.scopedBaseContracts, completedResult.scopedContracts, completedResult.environment, (pluginError, outputString) => {
+      resolve(pluginError ? null : outputResult(outputString));
+    });
+  });
+
+  // let plugins audit or replace a pipeline error, then return it, with the partial result if any
+  // (the output of the environments completed in this run, unless given)
+  const errorMethod = (stageError, stage, environment, partialResult) => {
+    (typeof partialResult !== 'undefined' ? Promise.resolve(partialResult) : completedOutput())
+    .then(result => hookMethod('onError', stageError, { stage, environment })
+      .then(hookedError => callback(hookedError, result), hookError => callback(hookError, result)));
+  };
+
+  // run a pipeline stage hook, a plugin throwing vetoes (stops) the run
+  const stageHook = (hookName, value, context, next) => {
+    hookMethod(hookName, value, context)
+    .then(hookedValue => ({ hookedValue }), hookError => ({ hookError }))
+    .then(result => (result.hookError
+      ? errorMethod(error(`while running plugin hook '${hookName}', ${result.hookError.message || result.hookError}`), hookName, context.environment)
+      : next(result.hookedValue)));
+  };
+
+  /**
+   * Run the pipeline (environment, preLoaders, loaders and deployment) against a single environment.
+   *
+   * @method runEnvironment
+   * @param {Object} moduleEnvironment the config environment object
+   * @param {Object} sourceMap the entry sourcemap
+   * @param {Function} next called with the environment result, once the deployment is done
+   */
+  const runEnvironment = (moduleEnvironment, sourceMap, next) => {
+    // this is the initial deployed contracts store of the environment
+    var deployedContracts = {}; // eslint-disable-line
+    const moduleDeloyment = deploymentModule(moduleEnvironment.deployment || configObject.module.deployment);
+
+    // build report method
+    const reportMethod = (name, data, address, inputs, transactionObject, receipt, details) => {
+      const deployedContract = Object.assign({}, cloneDeep(deployedContracts[name] || {}), cloneDeep(data), cloneDeep(details || {}), { name, address, inputs, transactionObject, receipt });
+
+      // the contract is no longer pending once reported
+      delete deployedContract.pending;
+
+      deployedContracts = Object.assign({}, cloneDeep(deployedContracts), bnToString({
+        [name]: deployedContract,
+      }, 16, true));
+    };
+
+    // build pending report method, records a sent contract creation transaction, or removes a failed one
+    const reportPendingMethod = (name, pending) => {
+      const pendingContract = Object.assign({}, cloneDeep(deployedContracts[name] || {}), { name, pending: cloneDeep(pending) });
+
+      if (pending === null) { delete pendingContract.pending; }
+
+      deployedContracts = Object.assign({}, cloneDeep(deployedContracts), bnToString({
+        [name]: pendingContract,
+      }, 16, true));
+
+      // a contract only recorded by its failed transaction is left out of the output
+      if (pending === null && typeof pendingContract.address === 'undefined') { delete deployedContracts[name]; }
+    };
+
+    // build call report method, replaces a previous report of the same call
+    const reportCallMethod = (name, call) => {
+      const previousCalls = (deployedContracts[name].calls || [])
+        .filter(previousCall => !(previousCall.method === call.method && deepEqual(previousCall.args, call.args)));
+
+      deployedContracts = Object.assign({}, cloneDeep(deployedContracts), bnToString({
+        [name]: Object.assign({}, cloneDeep(deployedContracts[name]), { calls: previousCalls.concat([cloneDeep(call)]) }),
+      }, 16, true));
+    };
 
     // transform environment
-    buildEnvironment(moduleEnvironment, (envTransformError, environment) => { // eslint-disable-line
-      if (envTransformError !== null) { return callback(error(envTransformError, null)); }
+    buildEnvironment(moduleEnvironment, (envTransformError, loadedEnvironment) => { // eslint-disable-line
+      if (envTransformError !== null) { return errorMethod(error(envTransformError), 'environment'); }
+
+      stageHook('afterEnvironment', loadedEnvironment, { sourceMap }, (environment) => {
+        // load and process contracts from sourcemap, base contracts layer
+        loadContracts(modulePreLoaders, {}, sourceMap, environment, (preLoaderError, loadedBaseContracts) => { // eslint-disable-line
+          if (preLoaderError !== null) { return errorMethod(error(preLoaderError), 'preLoaders', environment); }
 
-      // load and process contracts from sourcemap, base contracts layer
-      loadContracts(modulePreLoaders, {}, sourceMap, environment, (preLoaderError, baseContracts) => { // eslint-disable-line
-        if (preLoaderError !== null) { return callback(error(preLoaderError), null); }
+          stageHook('afterPreLoaders', loadedBaseContracts, { sourceMap, environment }, (baseContracts) => { // eslint-disable-line
+            // refuse to mix deployments from different networks under the same environment name
+            const networkError = networkMismatch(transformContracts(baseContracts, environment.name), environment);
+            if (networkError !== null) { return errorMethod(error(networkError), 'preLoaders', environment); }
 
-        // load and process contracts from sourcemap
-        loadContracts(moduleLoaders, baseContracts, sourceMap, environment, (loaderError, contracts) => { // eslint-disable-line
-          if (loaderError !== null) { return callback(error(loaderError), null); }
+            // load and process contracts from sourcemap
+            loadContracts(moduleLoaders, baseContracts, sourceMap, environment, (loaderError, loadedContracts) => { // eslint-disable-line
+              if (loaderError !== null) { return errorMethod(error(loaderError), 'loaders', environment); }
 
-          // scoped base contracts
-          const scopedBaseContracts = transformContracts(baseContracts, environment.name);
+              stageHook('afterLoaders', loadedContracts, { sourceMap, environment, baseContracts }, (contracts) => {
+                // scoped base contracts
+                const scopedBaseContracts = transformContracts(baseContracts, environment.name);
 
-          // scope the contracts only to the environment being deployed
-          const scopedContracts = transformContracts(contracts, environment.name);
+                // scope the contracts only to the environment being deployed
+                const scopedContracts = transformContracts(contracts, environment.name);
 
-          // build done method
-          const doneMethod = () => {
-            const finalOutput = Object.assign({}, cloneDeep(baseContracts), {
-              [environment.name]: cloneDeep(deployedContracts),
+                // the environments output, with the environments completed in this run and this environment
+                const environmentOutput = () => Object.assign({}, cloneDeep(baseContracts), cloneDeep(deployedEnvironments), {
+                  [environment.name]: cloneDeep(deployedContracts),
+                });
+
+                // the output of an unfinished run, the contracts reported so far are laid over the contracts
+                // recorded for this environment, so the contracts the module has not reached yet are kept
+                const interimOutput = () => Object.assign({}, cloneDeep(baseContracts), cloneDeep(deployedEnvironments), {
+                  [environment.name]: Object.assign({}, cloneDeep(baseContracts[environment.name] || {}), cloneDeep(deployedContracts)),
+                });
+
+                // checkpoint the output after each report
+                const reportCheckpoint = pendingWrite => checkpointMethod(interimOutput(), scopedBaseContracts, scopedContracts, environment, pendingWrite);
+
+                // build fail method, returns the error with the contracts deployed before the failure (and the recorded ones)
+                const failMethod = (deploymentError) => {
+                  const partialOutput = interimOutput();
+
+                  // wait on pending checkpoints, so they are not written over the partial output
+                  checkpoints.then(() => {
+                    processOutput(plugins, partialOutput, configObject, scopedBaseContracts, scopedContracts, environment, (pluginError, outputString) => {
+                      errorMethod(deploymentError, 'deployment', environment, pluginError ? null : outputResult(outputString));
+                    });
+                  });
+                };
+
+                // build done method, saves the environments contracts for the next environment
+                const doneMethod = () => {
+                  const output = environmentOutput();
+                  deployedEnvironments[environment.name] = cloneDeep(deployedContracts);
+
+                  utils.log(`Deployment module completed for environment '${environment.name}'!`);
+
+                  // wait on pending checkpoints, so they are not written over the next output
+                  checkpoints.then(() => next({ output, environment, baseContracts, contracts, scopedBaseContracts, scopedContracts }));
+                };
+
+                // the nonces of the sending accounts, assigned locally and shared by deploy and transact
+                const nonces = buildNonceManager(environmentQuery(environment));
+
+                // build deploy method
+                const deployMethod = buildDeployMethod(scopedBaseContracts, environment, (...report) => {
+                  reportMethod.apply(null, report);
+                  reportCheckpoint();
+                }, {
+                  force: configObject.force === true,
+                  hook: hookMethod,
+                  reportPending: (...report) => {
+                    reportPendingMethod.apply(null, report);
+                    reportCheckpoint(true);
+                  },
+                  signedTransactions: broadcast ? ((broadcast[environment.name] || {}).transactions || []) : undefined,
+                  nonces,
+                });
+
+                // build transact method, for method calls on deployed contracts
+                const transactMethod = buildTransactMethod(scopedBaseContracts, environment, () => deployedContracts, (...report) => {
+                  reportCallMethod.apply(null, report);
+                  reportCheckpoint();
+                }, { nonces });
+
+                // plan mode, record what the deployment module would deploy, skip and call
+                if (planMode) {
+                  return dryRunDeployment(moduleDeloyment, scopedBaseContracts, scopedContracts, environment, { force: configObject.force === true }, (dryRunError, dryRun) => {
+                    if (dryRunError) { return errorMethod(error(`while planning environment '${environment.name}': ${dryRunError.message || dryRunError}`), 'plan', environment); }
+
+                    environmentPlans[environment.name] = environmentPlan(environment, dryRun);
+                    utils.log(`Deployment plan completed for environment '${environment.name}'!`);
+
+                    return next({ environment });
+                  });
+                }
+
+                // offline mode, record the unsigned creation transactions for signing elsewhere
+                if (offlineMode) {
+                  return unsignedDeployment(environmentQuery(environment), moduleDeloyment, scopedBaseContracts, scopedContracts, environment, { force: configObject.force === true }, (unsignedError, unsigned) => {
+                    if (unsignedError) { return errorMethod(error(`while exporting the unsigned transactions of environment '${environment.name}': ${unsignedError.message || unsignedError}`), 'offline', environment); }
+
+                    unsignedEnvironments[environment.name] = unsigned;
+                    utils.log(`Unsigned transactions exported for environment '${environment.name}'!`);
+
+                    return next({ environment });
+                  });
+                }
+
+                // the signed transactions must be broadcast to the network they were exported for
+                const signedNetworkId = broadcast && broadcast[environment.name] ? broadcast[environment.name].networkId : undefined;
+                if (typeof signedNetworkId !== 'undefined' && String(signedNetworkId) !== String(environment.networkId)) {
+                  return errorMethod(error(`The signed transactions of environment '${environment.name}' were exported for network ID '${signedNetworkId}', but the node is on network ID '${environment.networkId}'.`), 'broadcast', environment);
+                }
+
+                // run the deployment module, done, done(err), a returned promise or an unhandled rejection end the run
+                const runDeployment = () => runDeploymentModule(moduleDeloyment, [deployMethod, scopedContracts, environment, transactMethod], (deploymentError) => {
+                  if (deploymentError) { return failMethod(deploymentError); }
+
+                  return doneMethod();
+                });
+
+                if (environment.preflight !== true) { return runDeployment(); }
+
+                // pre-flight check, dry run the deployment module and check the account balances before sending anything
+                return dryRunDeployment(moduleDeloyment, scopedBaseContracts, scopedContracts, environment, { force: configObject.force === true }, (dryRunError, dryRun) => { // eslint-disable-line
+                  if (dryRunError) { return errorMethod(error(`while running the pre-flight check: ${dryRunError.message || dryRunError}`), 'preflight', environment); }
+
+                  preflightCheck(environmentQuery(environment), environment, dryRun.deployments).then((report) => {
+                    report.forEach(account => utils.log(`Pre-flight check: account ${account.account} needs ${account.required} wei (${account.gas} gas) for ${account.contracts.length} contract(s), has ${account.balance} wei`));
+
+                    runDeployment();
+                  }, preflightError => errorMethod(preflightError, 'preflight', environment));
+                });
+              });
             });
+          });
+        });
+      });
+    });
+  };
+
+  // build sourcemap from entry
+  loadEntry(entry, (sourceMapError, loadedSourceMap) => { // eslint-disable-line
+    if (sourceMapError !== null) { return errorMethod(error(sourceMapError), 'sourceMap'); }
+
+    stageHook('afterSourceMap', loadedSourceMap, {}, (sourceMap) => {
+      // run the environments in turn, then output the merged environments output
+      const runNextEnvironment = (environmentIndex) => {
+        runEnvironment(environments[environmentIndex], sourceMap, (result) => {
+          if (environmentIndex + 1 < environments.length) {
+            completedResult = result;
+
+            return runNextEnvironment(environmentIndex + 1);
+          }
+
+          // the output stage has no partial result, the output of the last environment failed
+          completedResult = null;
+
+          if (planMode) { return callback(null, { config: configObject, plan: environmentPlans }); }
+          if (offlineMode) { return callback(null, { config: configObject, unsigned: unsignedEnvironments }); }
 
+          return stageHook('beforeOutput', result.output, {
+            environment: result.environment,
+            baseContracts: result.baseContracts,
+            contracts: result.contracts,
+          }, (hookedOutput) => {
             // final output processing with plugins
-            processOutput(plugins, finalOutput, configObject, scopedBaseContracts, scopedContracts, environment, (pluginError, outputString) => {
+            processOutput(plugins, hookedOutput, configObject, result.scopedBaseContracts, result.scopedContracts, result.environment, (pluginError, outputString) => {
               if (pluginError) {
-                callback(pluginError, null);
+                errorMethod(pluginError, 'output', result.environment);
               } else {
-                callback(null, { config: configObject, output: outputString });
+                callback(null, outputResult(outputString));
               }
             });
 
             utils.log('Deployment module completed!');
-          };
-
-          // build deploy method
-          const deployMethod = buildDeployMethod(scopedBaseContracts, environment, reportMethod);
-
-          // run the deployment module
-          moduleDeloyment(deployMethod, scopedContracts, doneMethod, environment);
+          });
         });
-      });
+      };
+
+      runNextEnvironment(0);
     });
   });
 };
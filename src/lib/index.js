@@ -1,34 +1,91 @@
 const deepAssign = require('deep-assign');
 const deepEqual = require('deep-equal');
+const BN = require('bn.js');
 const Vap = require('vapjs-query');
 const VapUtils = require('vapjs-util');
 const VapContract = require('vapjs-contract');
+const abi = require('vapjs-abi');
 const stripHexPrefix = require('strip-hex-prefix');
 const cloneDeep = require('clone-deep');
 const utils = require('../utils/index.js');
 const bnToString = utils.bnToString;
 const error = utils.error;
+const log = utils.log;
 const filterSourceMap = utils.filterSourceMap;
 const deployContract = utils.deployContract;
+const broadcastContract = utils.broadcastContract;
+const contractAddress = utils.contractAddress;
+const retryQuery = utils.retryQuery;
+const readOnlyQuery = utils.readOnlyQuery;
+const getTransactionSuccess = utils.getTransactionSuccess;
+const transactionFailure = utils.transactionFailure;
+const toNumber = utils.toNumber;
 const getInputSources = utils.getInputSources;
+const linkReferences = utils.linkReferences;
+const linkBytecode = utils.linkBytecode;
+const stripMetadataHash = utils.stripMetadataHash;
+const bytecodeHash = utils.bytecodeHash;
 
 /**
- * Transform default tx object with accounts (mainly account 0 => accounts[0])
+ * Transform default tx object with accounts (mainly account 0 => accounts[0], or a named account => its address)
  *
  * @method transformTxObject
  * @param {Object} txObject the input default tx object
  * @param {Array} accounts the accounts from Vapory RPC
+ * @param {Object} namedAccounts optional, the addresses of the named accounts of the environment
  * @return {Object} output the transformed tx object
  */
-function transformTxObject(txObject, accounts) {
+function transformTxObject(txObject, accounts, namedAccounts) {
   // if no tx object, bypass
   if (typeof txObject !== 'object') { return txObject; }
 
-  const from = typeof txObject.from === 'number' ? accounts[txObject.from] : txObject.from;
+  const namedFrom = isNamedAccount(namedAccounts, txObject.from) ? namedAccounts[txObject.from] : txObject.from;
+  const from = typeof namedFrom === 'number' ? accounts[namedFrom] : namedFrom;
 
   return Object.assign({}, cloneDeep(txObject), { from });
 }
 
+// a name of the named accounts of the environment
+function isNamedAccount(namedAccounts, name) {
+  return typeof name === 'string' && typeof namedAccounts === 'object' && namedAccounts !== null
+    && Object.prototype.hasOwnProperty.call(namedAccounts, name);
+}
+
+/**
+ * Resolve the named accounts of an environment (i.e. `namedAccounts: { deployer: 0, admin: '0xabc...' }`),
+ * a number is the index of an account of the node.
+ *
+ * @method resolveNamedAccounts
+ * @param {Object} namedAccounts the named accounts, account indexes or addresses by name
+ * @param {Array} accounts the accounts from Vapory RPC
+ * @return {Object} addresses the address of each named account, undefined for an unknown account index
+ */
+function resolveNamedAccounts(namedAccounts, accounts) {
+  return Object.keys(namedAccounts || {}).reduce((addresses, name) => Object.assign(addresses, {
+    [name]: typeof namedAccounts[name] === 'number' ? accounts[namedAccounts[name]] : namedAccounts[name],
+  }), {});
+}
+
+/**
+ * Resolve the named accounts given to the address inputs (arrays of addresses included) of a
+ * constructor or method, the other inputs are left as is.
+ *
+ * @method resolveAccountInputs
+ * @param {Array} abiInputs the constructor or method ABI inputs
+ * @param {Array} inputs the inputs, may end with a tx object
+ * @param {Object} namedAccounts the addresses of the named accounts of the environment
+ * @return {Array} inputs the inputs, with the named accounts resolved
+ */
+function resolveAccountInputs(abiInputs, inputs, namedAccounts) {
+  const resolveInput = (type, input) => {
+    if (Array.isArray(input) && /\[\d*\]$/.test(type)) { return input.map(item => resolveInput(type.replace(/\[\d*\]$/, ''), item)); }
+
+    return (type === 'address' && isNamedAccount(namedAccounts, input)) ? namedAccounts[input] : input;
+  };
+
+  return inputs.map((input, index) => (abiInputs[index] ? resolveInput(abiInputs[index].type, input) : input));
+}
+
 /**
  * Load the environment, get accounts, gas limits, balances etc.
  *
@@ -42,21 +99,53 @@ function loadEnvironment(environment, callback) {
 
   var transformedEnvironment = cloneDeep(environment); // eslint-disable-line
 
-  const query = new Vap(transformedEnvironment.provider);
+  const query = environmentQuery(transformedEnvironment);
   query.net_version((versionError, result) => { // eslint-disable-line
     if (versionError) { return callback(error(`${errorMsgBase}error attempting to connect to node environment '${transformedEnvironment.name}': ${versionError}`), null); }
 
+    const networkId = String(result);
+    const expectedNetworkIds = [].concat(isDefined(environment.expectedNetworkId) ? environment.expectedNetworkId : []).map(String);
+
+    // guard against an environment pointed at the wrong network
+    if (expectedNetworkIds.length > 0 && expectedNetworkIds.indexOf(networkId) === -1) {
+      return callback(error(`${errorMsgBase}environment '${transformedEnvironment.name}' expects the network ID ${expectedNetworkIds.join(' or ')}, but the node is on network ID ${networkId}, aborting.`), null);
+    }
+
     query.accounts((accountsError, accounts) => { // eslint-disable-line
       if (accountsError !== null) { return callback(error(`${errorMsgBase}error while getting accounts for deployment: ${accountsError}`), null); }
 
+      const namedAccounts = resolveNamedAccounts(environment.namedAccounts, accounts);
+      const unknownName = Object.keys(namedAccounts).filter(name => typeof namedAccounts[name] !== 'string')[0];
+      if (isDefined(unknownName)) { return callback(error(`${errorMsgBase}the named account '${unknownName}' of environment '${transformedEnvironment.name}' is the account index ${environment.namedAccounts[unknownName]}, but the node has ${accounts.length} accounts.`), null); }
+
       callback(accountsError, Object.assign({}, cloneDeep(transformedEnvironment), {
         accounts,
-        defaultTxObject: transformTxObject(environment.defaultTxObject, accounts),
+        networkId,
+        namedAccounts,
+        defaultTxObject: transformTxObject(environment.defaultTxObject, accounts, namedAccounts),
       }));
     });
   });
 }
 
+/**
+ * Find a network mismatch between the environment and its base contracts, which were deployed
+ * to the network IDs recorded in the environments output.
+ *
+ * @method networkMismatch
+ * @param {Object} baseContracts the scoped base contracts of the environment
+ * @param {Object} environment the loaded environment, with the network ID
+ * @return {String|Null} mismatch the mismatch error message, if any
+ */
+function networkMismatch(baseContracts, environment) {
+  const mismatchedNames = Object.keys(baseContracts || {}).filter(name => isDefined(baseContracts[name].networkId)
+    && String(baseContracts[name].networkId) !== String(environment.networkId));
+
+  if (mismatchedNames.length === 0) { return null; }
+
+  return `the contracts '${mismatchedNames.join("', '")}' of environment '${environment.name}' were deployed to the network ID ${baseContracts[mismatchedNames[0]].networkId}, but the node is on network ID ${environment.networkId}. Deployments from different networks can not be mixed under the same environment name, please use another environment name.`;
+}
+
 /**
  * Prepair the contracts for deployment, scope contracts array, add name
  *
@@ -77,6 +166,59 @@ function transformContracts(contracts, environmentName) {
   return scopedContracts;
 }
 
+/**
+ * The environments of the deployment module, `module.environments` (an Array, or an Object
+ * keyed by environment name) or the single `module.environment`.
+ *
+ * @method moduleEnvironments
+ * @param {Object} configModule the config module object
+ * @return {Array} environments the environments to deploy to, in order
+ */
+function moduleEnvironments(configModule) {
+  const environments = configModule.environments;
+
+  if (Array.isArray(environments)) { return environments; }
+  if (typeof environments === 'object' && environments !== null) {
+    return Object.keys(environments).map(name => Object.assign({ name }, environments[name]));
+  }
+
+  return [configModule.environment];
+}
+
+/**
+ * Validate a single environment of the config
+ *
+ * @method environmentError
+ * @param {Object} environment the environment object specified in the config.js
+ * @param {String} environmentPath the config path of the environment (i.e. 'config.module.environment')
+ * @return {Object|Null} output the environment error, if any
+ */
+function environmentError(environment, environmentPath) {
+  if (typeof environment !== 'object' || environment === null) { return `No defined module environment object! '${environmentPath}' must be type Object, got ${typeof environment}`; }
+  if (typeof environment.provider !== 'object') { return `No defined provider object! '${environmentPath}' must have a defined 'provider' object, got ${typeof environment.provider}`; }
+  if (typeof environment.name !== 'string') { return `No defined environment name! '${environmentPath}.name' must be type String, got ${typeof environment.name}`; }
+  if (typeof environment.redeployOn !== 'undefined' && !Array.isArray(environment.redeployOn)) { return `Invalid redeploy criteria! '${environmentPath}.redeployOn' must be type Array (i.e. ['bytecode', 'inputs', 'from']), got ${typeof environment.redeployOn}`; }
+  if (typeof environment.receiptPolling !== 'undefined' && typeof environment.receiptPolling !== 'object') { return `Invalid receipt polling options! '${environmentPath}.receiptPolling' must be type Object (i.e. { interval: 1000, timeout: 60000, confirmations: 12 }), got ${typeof environment.receiptPolling}`; }
+  if (typeof environment.estimateGas !== 'undefined' && typeof environment.estimateGas !== 'boolean' && typeof environment.estimateGas !== 'object') { return `Invalid gas estimation options! '${environmentPath}.estimateGas' must be type Boolean or Object (i.e. { multiplier: 1.5, cap: 4000000 }), got ${typeof environment.estimateGas}`; }
+  if (isDefined(environment.gasPriceStrategy) && !validGasPriceStrategy(environment.gasPriceStrategy)) { return `Invalid gas price strategy! '${environmentPath}.gasPriceStrategy' must be a fixed price, 'node', a percentile Object (i.e. { percentile: 60, blocks: 20 }) or a Function, got ${JSON.stringify(environment.gasPriceStrategy)}`; }
+  if (isDefined(environment.maxGasPrice) && isNaN(toNumber(environment.maxGasPrice))) { return `Invalid maximum gas price! '${environmentPath}.maxGasPrice' must be a number, got ${JSON.stringify(environment.maxGasPrice)}`; }
+  if (typeof environment.onMissingContract !== 'undefined' && ['redeploy', 'error'].indexOf(environment.onMissingContract) === -1) { return `Invalid missing contract policy! '${environmentPath}.onMissingContract' must be either 'redeploy' or 'error', got ${JSON.stringify(environment.onMissingContract)}`; }
+  if (isDefined(environment.expectedNetworkId) && [].concat(environment.expectedNetworkId).filter(networkId => ['string', 'number'].indexOf(typeof networkId) === -1).length > 0) { return `Invalid expected network ID! '${environmentPath}.expectedNetworkId' must be a network ID or an Array of network IDs (i.e. '3' or [1, 3]), got ${JSON.stringify(environment.expectedNetworkId)}`; }
+  if (isDefined(environment.replaceStuck) && (typeof environment.replaceStuck !== 'object' || environment.replaceStuck === null)) { return `Invalid stuck transaction replacement! '${environmentPath}.replaceStuck' must be type Object (i.e. { blocks: 20, multiplier: 1.125, maxGasPrice: 100000000000 }), got ${typeof environment.replaceStuck}`; }
+  if (isDefined(environment.replaceStuck) && isNaN(toNumber(isDefined(environment.replaceStuck.maxGasPrice) ? environment.replaceStuck.maxGasPrice : environment.maxGasPrice))) { return `No defined gas price ceiling! '${environmentPath}.replaceStuck.maxGasPrice' or '${environmentPath}.maxGasPrice' must be a number, to replace stuck transactions`; }
+  if (isDefined(environment.replaceStuck) && isDefined(environment.replaceStuck.multiplier) && !(typeof environment.replaceStuck.multiplier === 'number' && environment.replaceStuck.multiplier > 1)) { return `Invalid gas price multiplier! '${environmentPath}.replaceStuck.multiplier' must be a Number greater than 1, got ${JSON.stringify(environment.replaceStuck.multiplier)}`; }
+  if (isDefined(environment.namedAccounts) && (typeof environment.namedAccounts !== 'object' || environment.namedAccounts === null || Array.isArray(environment.namedAccounts))) { return `Invalid named accounts! '${environmentPath}.namedAccounts' must be type Object (i.e. { deployer: 0, admin: '0x...' }), got ${typeof environment.namedAccounts}`; }
+  if (isDefined(environment.namedAccounts) && Object.keys(environment.namedAccounts).filter(name => !(VapUtils.isHexString(environment.namedAccounts[name], 20) || (typeof environment.namedAccounts[name] === 'number' && environment.namedAccounts[name] >= 0 && Math.floor(environment.namedAccounts[name]) === environment.namedAccounts[name]))).length > 0) { return `Invalid named account! the accounts of '${environmentPath}.namedAccounts' must be an account index or a 20 byte hex prefixed address, got ${JSON.stringify(environment.namedAccounts)}`; }
+  if (isDefined(environment.retry) && (typeof environment.retry !== 'object' || environment.retry === null)) { return `Invalid retry options! '${environmentPath}.retry' must be type Object (i.e. { attempts: 3, backoff: 1000, factor: 2 }), got ${typeof environment.retry}`; }
+  if (isDefined(environment.retry) && isDefined(environment.retry.attempts) && !(typeof environment.retry.attempts === 'number' && environment.retry.attempts >= 1 && Math.floor(environment.retry.attempts) === environment.retry.attempts)) { return `Invalid retry attempts! '${environmentPath}.retry.attempts' must be a whole Number of at least 1, got ${JSON.stringify(environment.retry.attempts)}`; }
+  if (isDefined(environment.concurrency) && !(typeof environment.concurrency === 'number' && environment.concurrency >= 1 && Math.floor(environment.concurrency) === environment.concurrency)) { return `Invalid concurrency limit! '${environmentPath}.concurrency' must be a whole Number of at least 1, got ${JSON.stringify(environment.concurrency)}`; }
+  if (isDefined(environment.preflight) && typeof environment.preflight !== 'boolean') { return `Invalid pre-flight option! '${environmentPath}.preflight' must be type Boolean, got ${typeof environment.preflight}`; }
+  if (isDefined(environment.deployment) && typeof environment.deployment !== 'function' && !Array.isArray(environment.deployment)) { return `Invalid deployment override! '${environmentPath}.deployment' must be type Function or Array (a deployment graph), got ${typeof environment.deployment}`; }
+  if (Array.isArray(environment.deployment)) { return deploymentGraphError(environment.deployment, `${environmentPath}.deployment`); }
+
+  return null;
+}
+
 /**
  * Validate the config, after the method has been called
  *
@@ -88,16 +230,543 @@ function configError(config) {
   if (typeof config !== 'object') { return `the config method must return a config object, got type ${typeof config}`; }
   if (typeof config.entry === 'undefined') { return `No defined entry! 'config.entry' must be defined, got type ${typeof config.entry}.`; }
   if (typeof config.module !== 'object') { return `No defined deployment module! 'config.module' must be an object, got type ${typeof config.module}`; }
-  if (typeof config.module.deployment !== 'function') { return `No defined deployment function! 'config.module.deployment' must be type Function (i.e. 'module.deployment = (deploy, contracts, done){}' ), got ${typeof config.module.deployment}`; }
-  if (typeof config.module.environment !== 'object') { return `No defined module environment object! 'config.module.environment' must be type Object, got ${typeof config.module.environment}`; }
 
-  const environment = config.module.environment;
-  if (typeof environment.provider !== 'object') { return `No defined provider object! 'config.module.environment' must have a defined 'provider' object, got ${typeof environment.provider}`; }
-  if (typeof environment.name !== 'string') { return `No defined environment name! 'config.module.environment.name' must be type String, got ${typeof environment.name}`; }
+  if (isDefined(config.plan) && typeof config.plan !== 'boolean') { return `Invalid plan option! 'config.plan' must be type Boolean, got ${typeof config.plan}`; }
+  if (isDefined(config.offline) && typeof config.offline !== 'boolean') { return `Invalid offline option! 'config.offline' must be type Boolean, got ${typeof config.offline}`; }
+  if (isDefined(config.broadcast) && (typeof config.broadcast !== 'object' || config.broadcast === null)) { return `Invalid broadcast option! 'config.broadcast' must be type Object (the exported transactions by environment name), got ${typeof config.broadcast}`; }
+  if (isDefined(config.broadcast) && (config.offline === true || config.plan === true)) { return 'Invalid broadcast option! \'config.broadcast\' can not be used with \'config.offline\' or \'config.plan\''; }
+  if (typeof config.output === 'object' && config.output.checkpoint === true && typeof config.output.filename !== 'string') { return `No defined checkpoint file! 'config.output.filename' must be type String to write checkpoints, got ${typeof config.output.filename}`; }
+  if (typeof config.output === 'object' && isDefined(config.output.checkpoint) && typeof config.output.checkpoint !== 'boolean' && typeof config.output.checkpoint !== 'function') { return `Invalid checkpoint option! 'config.output.checkpoint' must be type Boolean or Function (i.e. '(outputString, callback) => {}'), got ${typeof config.output.checkpoint}`; }
+
+  const environments = config.module.environments;
+  if (!isDefined(environments)) {
+    if (typeof config.module.deployment !== 'function' && !Array.isArray(config.module.deployment)) { return `No defined deployment function! 'config.module.deployment' must be type Function (i.e. 'module.deployment = (deploy, contracts, done){}' ) or Array (a deployment graph), got ${typeof config.module.deployment}`; }
+    if (Array.isArray(config.module.deployment)) {
+      return deploymentGraphError(config.module.deployment, 'config.module.deployment') || environmentError(config.module.environment, 'config.module.environment');
+    }
+
+    return environmentError(config.module.environment, 'config.module.environment');
+  }
+
+  if (typeof environments !== 'object' || environments === null) { return `Invalid module environments! 'config.module.environments' must be type Array or Object, got ${typeof environments}`; }
+  if (Object.keys(environments).length === 0) { return 'No defined module environments! \'config.module.environments\' must have at least one environment'; }
+
+  const environmentNames = [];
+  const environmentPaths = Array.isArray(environments)
+    ? environments.map((environment, index) => `config.module.environments[${index}]`)
+    : Object.keys(environments).map(name => `config.module.environments.${name}`);
+
+  return moduleEnvironments(config.module).reduce((previousError, environment, index) => {
+    if (previousError !== null) { return previousError; }
+
+    const environmentPath = environmentPaths[index];
+    const invalidEnvironment = environmentError(environment, environmentPath);
+    if (invalidEnvironment !== null) { return invalidEnvironment; }
+    if (environmentNames.indexOf(environment.name) !== -1) { return `Duplicate environment name! '${environmentPath}.name' must be unique, got '${environment.name}' twice`; }
+    if (typeof (environment.deployment || config.module.deployment) !== 'function' && !Array.isArray(environment.deployment || config.module.deployment)) { return `No defined deployment function! 'config.module.deployment' or '${environmentPath}.deployment' must be type Function (i.e. 'module.deployment = (deploy, contracts, done){}' ) or Array (a deployment graph), got ${typeof config.module.deployment}`; }
+    if (!isDefined(environment.deployment) && Array.isArray(config.module.deployment) && deploymentGraphError(config.module.deployment, 'config.module.deployment') !== null) { return deploymentGraphError(config.module.deployment, 'config.module.deployment'); }
+
+    environmentNames.push(environment.name);
+
+    return null;
+  }, null);
+}
+
+// a BN from a BN, hex string, decimal string or number, without losing precision
+function toBN(value) {
+  if (typeof value === 'object' && value !== null) { return new BN(value.toString(10), 10); }
+  if (String(value).substr(0, 2) === '0x') { return new BN(stripHexPrefix(value), 16); }
+
+  return new BN(String(value || 0), 10);
+}
+
+/**
+ * The gas limit and gas price a deployment recorded by a dry run would be sent with: the explicit gas,
+ * else an estimate (falling back on the tx object gas), and the gas price strategy, else the tx object
+ * gas price, else the node gas price.
+ *
+ * @method deploymentGas
+ * @param {Object} vap the vap query instance
+ * @param {Object} environment the transformed environment
+ * @param {Object} deployment a deployment recorded by `dryRunDeployment`
+ * @return {Promise} gas resolves the `gas` and `gasPrice` of the creation transaction
+ */
+function deploymentGas(vap, environment, deployment) {
+  const gasEstimation = gasEstimationOptions(environment);
+  const transaction = deployment.transaction;
+  const gas = (deployment.explicitGas || (!gasEstimation && isDefined(transaction.gas)))
+    ? Promise.resolve(toNumber(transaction.gas))
+    : estimateDeploymentGas(vap, transaction, gasEstimation || { multiplier: 1, cap: null })
+      .then(gasDetails => gasDetails.gas, (estimateError) => {
+        if (isDefined(transaction.gas)) { return toNumber(transaction.gas); }
+
+        throw error(`while estimating the gas of contract '${deployment.name}': ${estimateError}`);
+      });
+  // the tx object gas price, else the strategy price, else the price the node would use
+  const gasPrice = transactionGasPrice(vap, environment, transaction, deployment.explicitGasPrice, true)
+    .then(price => (price !== null ? price : transaction.gasPrice));
+
+  return Promise.all([gas, gasPrice]).then(gasResults => ({ gas: gasResults[0], gasPrice: gasResults[1] }));
+}
+
+/**
+ * Pre-flight check of the deployments recorded by a dry run: estimate the gas and cost of the
+ * contracts to be deployed, and compare the total cost with the balance of each sending
+ * account. Rejects with a per-account shortfall report before any transaction is sent.
+ *
+ * @method preflightCheck
+ * @param {Object} vap the vap query instance
+ * @param {Object} environment the transformed environment
+ * @param {Array} deployments the deployments recorded by `dryRunDeployment`
+ * @return {Promise} report resolves the per-account report (account, contracts, gas, required, balance)
+ */
+function preflightCheck(vap, environment, deployments) {
+  const sentDeployments = deployments.filter(deployment => deployment.action !== 'skip');
+
+  // the gas and cost of each contract creation, as it would be sent
+  return Promise.all(sentDeployments.map(deployment => deploymentGas(vap, environment, deployment)
+    .then(gasResults => ({
+      account: String(deployment.transaction.from).toLowerCase(),
+      name: deployment.name,
+      gas: gasResults.gas,
+      cost: toBN(gasResults.gas).mul(toBN(gasResults.gasPrice)).add(toBN(deployment.transaction.value)),
+    }))))
+  .then((costs) => {
+    const accounts = {};
+
+    costs.forEach((cost) => {
+      accounts[cost.account] = accounts[cost.account] || { account: cost.account, contracts: [], gas: 0, required: new BN(0) };
+      accounts[cost.account].contracts.push(cost.name);
+      accounts[cost.account].gas += cost.gas;
+      accounts[cost.account].required = accounts[cost.account].required.add(cost.cost);
+    });
+
+    return Promise.all(Object.keys(accounts).map(account => vap.getBalance(account, 'latest').then((balance) => {
+      const accountBalance = toBN(balance);
+      const required = accounts[account].required;
+
+      return Object.assign({}, accounts[account], {
+        required: required.toString(10),
+        balance: accountBalance.toString(10),
+        shortfall: (required.gt(accountBalance) ? required.sub(accountBalance) : new BN(0)).toString(10),
+      });
+    })));
+  })
+  .then((report) => {
+    const shortfalls = report.filter(account => account.shortfall !== '0')
+      .map(account => `account ${account.account} needs ${account.required} wei (${account.gas} gas) to deploy '${account.contracts.join("', '")}', but has ${account.balance} wei, short by ${account.shortfall} wei`);
+
+    if (shortfalls.length > 0) {
+      throw error(`pre-flight check failed for environment '${environment.name}', nothing was sent: ${shortfalls.join('; ')}.`);
+    }
+
+    return report;
+  });
+}
+
+// a reference to the address of another contract of a deployment graph (i.e. `{ address: 'Token' }`)
+function isAddressReference(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+    && Object.keys(value).length === 1 && typeof value.address === 'string';
+}
+
+// the contract names referenced by the inputs of a deployment graph contract, nested arrays included
+function addressReferences(inputs) {
+  return (inputs || []).reduce((references, input) => {
+    if (Array.isArray(input)) { return references.concat(addressReferences(input)); }
+
+    return references.concat(isAddressReference(input) ? [input.address] : []);
+  }, []);
+}
+
+// the output name of a deployment graph contract, the alias or the contract name
+function graphContractName(graphContract) {
+  return graphContract.alias || graphContract.contract;
+}
+
+/**
+ * Sort a deployment graph, each contract comes after the contracts referenced by its inputs.
+ *
+ * @method sortDeploymentGraph
+ * @param {Array} graph the deployment graph, the contracts with their inputs
+ * @return {Object} sorted the `order` of the contract names, the `dependencies` of each, and the `cycle` found (or null)
+ */
+function sortDeploymentGraph(graph) {
+  const dependencies = {};
+  const order = [];
+  const visited = {};
+  let cycle = null;
+
+  graph.forEach((graphContract) => {
+    dependencies[graphContractName(graphContract)] = addressReferences(graphContract.inputs)
+      .filter((reference, index, references) => references.indexOf(reference) === index);
+  });
+
+  // depth first, a contract visited again before it is sorted closes a cycle
+  const visit = (name, path) => {
+    if (cycle !== null || visited[name] === 'sorted') { return; }
+    if (visited[name] === 'visiting') {
+      cycle = path.slice(path.indexOf(name)).concat([name]);
+      return;
+    }
+
+    visited[name] = 'visiting';
+    dependencies[name].forEach(dependency => visit(dependency, path.concat([name])));
+    visited[name] = 'sorted';
+    order.push(name);
+  };
+
+  Object.keys(dependencies).forEach(name => visit(name, []));
+
+  return { order, dependencies, cycle };
+}
+
+/**
+ * Validate a deployment graph: contract names, unique output names, known references and no cycles.
+ *
+ * @method deploymentGraphError
+ * @param {Array} graph the deployment graph, the contracts with their inputs
+ * @param {String} graphPath the config path of the graph, for the error message
+ * @return {String|Null} error the graph error, if any
+ */
+function deploymentGraphError(graph, graphPath) {
+  const names = [];
+  const contractError = graph.reduce((previousError, graphContract, index) => {
+    if (previousError !== null) { return previousError; }
+
+    const contractPath = `${graphPath}[${index}]`;
+
+    if (typeof graphContract !== 'object' || graphContract === null || typeof graphContract.contract !== 'string') { return `Invalid deployment graph! '${contractPath}.contract' must be type String (the contract name), got ${typeof (graphContract || {}).contract}`; }
+    if (isDefined(graphContract.alias) && typeof graphContract.alias !== 'string') { return `Invalid deployment graph! '${contractPath}.alias' must be type String, got ${typeof graphContract.alias}`; }
+    if (isDefined(graphContract.inputs) && !Array.isArray(graphContract.inputs)) { return `Invalid deployment graph! '${contractPath}.inputs' must be type Array, got ${typeof graphContract.inputs}`; }
+    if (isDefined(graphContract.transactionObject) && typeof graphContract.transactionObject !== 'object') { return `Invalid deployment graph! '${contractPath}.transactionObject' must be type Object, got ${typeof graphContract.transactionObject}`; }
+    if (names.indexOf(graphContractName(graphContract)) !== -1) { return `Duplicate contract in the deployment graph! '${contractPath}' deploys '${graphContractName(graphContract)}' again, use an alias to deploy a contract more than once`; }
+
+    names.push(graphContractName(graphContract));
+
+    return null;
+  }, null);
+  if (contractError !== null) { return contractError; }
+
+  const unknownReference = graph.map(graphContract => addressReferences(graphContract.inputs)
+    .filter(reference => names.indexOf(reference) === -1)
+    .map(reference => ({ name: graphContractName(graphContract), reference }))[0])
+    .filter(isDefined)[0];
+  if (unknownReference) { return `Unknown contract reference in the deployment graph! the inputs of '${unknownReference.name}' reference the address of '${unknownReference.reference}', which is not deployed by '${graphPath}'`; }
+
+  const cycle = sortDeploymentGraph(graph).cycle;
+  if (cycle !== null) { return `Dependency cycle in the deployment graph! '${graphPath}' has the cycle ${cycle.join(' -> ')}`; }
 
   return null;
 }
 
+/**
+ * Build the deployment method of a deployment graph. Each contract is deployed once the contracts
+ * its inputs reference are deployed, so independent branches are deployed in parallel.
+ *
+ * @method graphDeployment
+ * @param {Array} graph the deployment graph, i.e. `[{ contract: 'Token', inputs: [1000] }, { contract: 'Sale', inputs: [{ address: 'Token' }] }]`
+ * @return {Function} deployment the deployment module method, returns a promise
+ */
+function graphDeployment(graph) {
+  return (deploy, contracts) => {
+    const sorted = sortDeploymentGraph(graph);
+    const deployed = {};
+
+    // the contracts are sorted, the deployments a contract depends on are staged before it
+    sorted.order.forEach((name) => {
+      const graphContract = graph.filter(candidate => graphContractName(candidate) === name)[0];
+
+      deployed[name] = Promise.all(sorted.dependencies[name].map(dependency => deployed[dependency])).then((instances) => {
+        const addresses = {};
+        sorted.dependencies[name].forEach((dependency, index) => { addresses[dependency] = instances[index].address; });
+        const resolveInputs = inputs => inputs.map((input) => {
+          if (Array.isArray(input)) { return resolveInputs(input); }
+
+          return isAddressReference(input) ? addresses[input.address] : input;
+        });
+
+        if (typeof contracts[graphContract.contract] !== 'object') {
+          throw error(`Contract '${graphContract.contract}' of the deployment graph does not exist in your contracts object, check your entry and loaders.`);
+        }
+
+        const options = Object.assign({}, graphContract, { contract: contracts[graphContract.contract] });
+        delete options.inputs;
+        delete options.transactionObject;
+
+        return deploy(...[options].concat(resolveInputs(graphContract.inputs || []),
+          (graphContract.transactionObject ? [graphContract.transactionObject] : [])));
+      });
+    });
+
+    return Promise.all(sorted.order.map(name => deployed[name]));
+  };
+}
+
+/**
+ * The deployment module method, from a deployment function or a deployment graph.
+ *
+ * @method deploymentModule
+ * @param {Function|Array} deployment the deployment function or graph
+ * @return {Function} deployment the deployment module method
+ */
+function deploymentModule(deployment) {
+  return Array.isArray(deployment) ? graphDeployment(deployment) : deployment;
+}
+
+/**
+ * Track a promise given to the deployment module, `onUnhandled` is called if it rejects and no
+ * handler was attached to it (with `then`, `catch`, `await` or `Promise.all`) by the time it settles.
+ *
+ * @method trackRejection
+ * @param {Promise} promise the promise to track
+ * @param {Function} onUnhandled called with the rejection error, if left unhandled
+ * @return {Promise} tracked the tracked promise
+ */
+function trackRejection(promise, onUnhandled) {
+  let handled = false;
+  const tracked = Object.create(promise);
+
+  // catch, finally, await and Promise.all all attach their handlers through then
+  tracked.then = (onFulfilled, onRejected) => {
+    handled = true;
+
+    return promise.then(onFulfilled, onRejected);
+  };
+
+  promise.catch((rejectionError) => {
+    setTimeout(() => { if (!handled) { onUnhandled(rejectionError); } }, 0);
+  });
+
+  return tracked;
+}
+
+/**
+ * Run the deployment module. The run ends once: when `done` is called (`done(err)` fails the
+ * run), when the returned promise settles (only a rejection, if the module declares `done`),
+ * when the module throws, or when it leaves a `deploy` or `transact` rejection unhandled.
+ *
+ * @method runDeploymentModule
+ * @param {Function} deployment the deployment module method
+ * @param {Array} deploymentArgs the deploy, contracts, environment and transact inputs
+ * @param {Function} callback the callback, called once the run ends
+ * @callback {Object} error the deployment error, if the run failed
+ */
+function runDeploymentModule(deployment, deploymentArgs, callback) {
+  let ended = false;
+  const endRun = (deploymentError) => {
+    if (ended) { return; }
+    ended = true;
+
+    callback(deploymentError);
+  };
+  const failRun = deploymentError => endRun((deploymentError instanceof Error)
+    ? deploymentError
+    : error(`while running the deployment module: ${deploymentError}`));
+
+  // the deploy and transact rejections the deployment module leaves unhandled fail the run
+  const trackMethod = method => (typeof method !== 'function' ? method
+    : (...args) => trackRejection(Promise.resolve(method(...args)), failRun));
+
+  let deploymentResult = null;
+  try {
+    deploymentResult = deployment(trackMethod(deploymentArgs[0]), deploymentArgs[1], (doneError) => {
+      if (doneError) { return failRun(doneError); }
+
+      return endRun(null);
+    }, deploymentArgs[2], trackMethod(deploymentArgs[3]));
+  } catch (deploymentError) {
+    return failRun(deploymentError);
+  }
+
+  // an async module (or returned promise) ends the run when settled, a module declaring `done`
+  // (i.e. `(deploy, contracts, done)`) may still be deploying, it ends the run by calling it
+  if (deploymentResult && typeof deploymentResult.then === 'function') {
+    deploymentResult.then(() => { if (deployment.length < 3) { endRun(null); } }, failRun);
+  }
+
+  return null;
+}
+
+/**
+ * Run the deployment module against recording stand-ins for `deploy` and `transact`, nothing
+ * is sent. Each deploy is recorded with its action ('skip', 'deploy' or 'redeploy'), the
+ * reasons, and the creation transaction, each transact call with its method and args.
+ *
+ * @method dryRunDeployment
+ * @param {Function} deployment the deployment module method
+ * @param {Object} baseContracts the scoped base contracts
+ * @param {Object} contracts the scoped contracts
+ * @param {Object} environment the transformed environment
+ * @param {Object} runOptions the run options (i.e. `{ force: true }`, `stage` to amend each recorded deployment)
+ * @param {Function} callback the callback with the recorded deployments and calls
+ * @callback {Object} dryRun the recorded `deployments` and `calls`
+ */
+function dryRunDeployment(deployment, baseContracts, contracts, environment, runOptions, callback) {
+  const deployments = [];
+  const calls = [];
+  const stageDeployment = (runOptions || {}).stage || (stagedDeployment => stagedDeployment);
+  const deployMethod = buildDeployMethod(baseContracts, environment, () => {}, {
+    force: (runOptions || {}).force === true,
+    dryRun: stagedDeployment => Promise.resolve(stageDeployment(stagedDeployment)).then((recordedDeployment) => {
+      deployments.push(recordedDeployment);
+
+      return recordedDeployment.address;
+    }),
+  });
+  const transactMethod = (...args) => {
+    const call = { name: args[0], method: args[1], args: bnToString(args.slice(2)) };
+    calls.push(call);
+
+    return Promise.resolve(call);
+  };
+
+  runDeploymentModule(deployment, [deployMethod, contracts, environment, transactMethod], (dryRunError) => {
+    if (dryRunError) { return callback(dryRunError, null); }
+
+    return callback(null, { deployments, calls });
+  });
+}
+
+/**
+ * Run the deployment module offline: the creation transactions of the contracts to be deployed are
+ * recorded unsigned, with the pending nonce of each sending account (assigned in deploy order), the
+ * gas and the gas price. Contracts resolve at the address their creation transaction will deploy to.
+ *
+ * @method unsignedDeployment
+ * @param {Object} vap the vap query instance
+ * @param {Function} deployment the deployment module method
+ * @param {Object} baseContracts the scoped base contracts
+ * @param {Object} contracts the scoped contracts
+ * @param {Object} environment the transformed environment
+ * @param {Object} runOptions the run options (i.e. `{ force: true }`)
+ * @param {Function} callback the callback with the environment unsigned transactions
+ * @callback {Object} unsigned the environment name, network ID, unsigned `transactions` and the `calls` not exported
+ */
+function unsignedDeployment(vap, deployment, baseContracts, contracts, environment, runOptions, callback) {
+  const nonces = {};
+  const nextNonce = (from) => {
+    nonces[from] = nonces[from] ? nonces[from].then(nonce => nonce + 1) : vap.getTransactionCount(from, 'pending').then(toNumber);
+
+    return nonces[from];
+  };
+  const stage = (stagedDeployment) => {
+    if (stagedDeployment.action === 'skip') { return stagedDeployment; }
+
+    const from = String(stagedDeployment.transaction.from).toLowerCase();
+    const nonce = isDefined(stagedDeployment.transaction.nonce) ? Promise.resolve(toNumber(stagedDeployment.transaction.nonce)) : nextNonce(from);
+
+    return Promise.all([nonce, deploymentGas(vap, environment, stagedDeployment)]).then(results => Object.assign({}, stagedDeployment, {
+      address: contractAddress(from, results[0]),
+      unsignedTransaction: {
+        from,
+        nonce: results[0],
+        gas: toNumber(results[1].gas),
+        gasPrice: toBN(results[1].gasPrice).toString(10),
+        value: toBN(stagedDeployment.transaction.value).toString(10),
+        data: stagedDeployment.transaction.data,
+      },
+    }));
+  };
+
+  dryRunDeployment(deployment, baseContracts, contracts, environment, Object.assign({}, runOptions, { stage }), (dryRunError, dryRun) => {
+    if (dryRunError) { return callback(dryRunError, null); }
+
+    if (dryRun.calls.length > 0) {
+      log(`The method calls of environment '${environment.name}' are not exported, make them once the deployment is broadcast.`);
+    }
+
+    return callback(null, bnToString({
+      name: environment.name,
+      networkId: environment.networkId,
+      transactions: dryRun.deployments.filter(stagedDeployment => stagedDeployment.action !== 'skip').map(stagedDeployment => ({
+        name: stagedDeployment.name,
+        contractName: stagedDeployment.contractName,
+        action: stagedDeployment.action,
+        reasons: stagedDeployment.reasons,
+        address: stagedDeployment.address,
+        inputs: stagedDeployment.inputs,
+        transaction: stagedDeployment.unsignedTransaction,
+        signedTransaction: null,
+      })),
+      calls: dryRun.calls,
+    }, 16, true));
+  });
+}
+
+/**
+ * Find the signed creation transaction of a contract, exported by `unsignedDeployment`, and check it
+ * creates the staged contract (same creation data).
+ *
+ * @method signedDeployment
+ * @param {Array} signedTransactions the exported transactions of the environment, with `signedTransaction`
+ * @param {String} instanceName the contract instance name
+ * @param {Object} deployTransaction the staged creation transaction, with data
+ * @param {String} environmentName the environment name
+ * @return {Object} signed the exported transaction, throws if missing, unsigned or not matching
+ */
+function signedDeployment(signedTransactions, instanceName, deployTransaction, environmentName) {
+  const signed = signedTransactions.filter(exported => exported.name === instanceName)[0];
+
+  if (!signed || typeof signed.signedTransaction !== 'string') {
+    throw error(`No signed transaction for contract '${instanceName}' in environment '${environmentName}', export and sign the deployment again.`);
+  }
+
+  if (String(signed.transaction.data).toLowerCase() !== String(deployTransaction.data).toLowerCase()) {
+    throw error(`The signed transaction of contract '${instanceName}' in environment '${environmentName}' does not match the staged deployment (the contract or its inputs changed since the export), export and sign the deployment again.`);
+  }
+
+  return signed;
+}
+
+/**
+ * The plan of an environment from a dry run: the action and reasons of each deploy, and the calls.
+ *
+ * @method environmentPlan
+ * @param {Object} environment the transformed environment
+ * @param {Object} dryRun the recorded `deployments` and `calls` of `dryRunDeployment`
+ * @return {Object} plan the environment plan, with name, network ID, deployments and calls
+ */
+function environmentPlan(environment, dryRun) {
+  return bnToString({
+    name: environment.name,
+    networkId: environment.networkId,
+    deployments: dryRun.deployments.map(deployment => Object.assign({
+      name: deployment.name,
+      contractName: deployment.contractName,
+      action: deployment.action,
+      reasons: deployment.reasons,
+    }, (deployment.action === 'skip' ? { address: deployment.address } : {}), {
+      inputs: deployment.inputs,
+      transactionObject: deployment.transactionObject,
+    })),
+    calls: dryRun.calls,
+  }, 16, true);
+}
+
+/**
+ * Format the environment plans as readable text, one line per deploy and call.
+ *
+ * @method formatPlan
+ * @param {Object} plan the environment plans, by environment name
+ * @return {String} planString the formatted plan
+ */
+function formatPlan(plan) {
+  const symbols = { deploy: '+', redeploy: '~', skip: '=' };
+
+  return Object.keys(plan).map((environmentName) => {
+    const environmentPlanned = plan[environmentName];
+    const count = action => environmentPlanned.deployments.filter(deployment => deployment.action === action).length;
+    const lines = environmentPlanned.deployments.map(deployment => `  ${symbols[deployment.action]} ${deployment.name} (${deployment.action}${deployment.reasons.length ? `: ${deployment.reasons.join(', ')}` : ''})`)
+      .concat(environmentPlanned.calls.map(call => `  > ${call.name}.${call.method}(${call.args.map(arg => JSON.stringify(arg)).join(', ')})`));
+
+    return [`Plan for environment '${environmentName}' (network ${environmentPlanned.networkId}):`]
+      .concat(lines.length ? lines : ['  nothing to deploy'])
+      .concat([`  ${count('deploy')} to deploy, ${count('redeploy')} to redeploy, ${count('skip')} to skip, ${environmentPlanned.calls.length} call(s).`])
+      .join('\n');
+  }).join('\n\n');
+}
+
 /**
  * Require the loader
  *
@@ -176,8 +845,10 @@ function processOutput(plugins, outputObject, configObject, baseContracts, contr
   // process deployers
   try {
     plugins.forEach((plugin) => {
-      // process deployer method
-      outputString = plugin.process({ output: outputString, config: configObject, baseContracts, contracts, environment });
+      // process deployer method, plugins may only implement lifecycle hooks
+      if (typeof plugin.process === 'function') {
+        outputString = plugin.process({ output: outputString, config: configObject, baseContracts, contracts, environment });
+      }
     });
 
     // return final output string
@@ -187,26 +858,439 @@ function processOutput(plugins, outputObject, configObject, baseContracts, contr
   }
 }
 
+// the plugin lifecycle hooks, in pipeline order
+const pluginHooks = ['afterSourceMap', 'afterEnvironment', 'afterPreLoaders', 'afterLoaders',
+  'beforeDeploy', 'afterDeploy', 'onSkip', 'onError', 'beforeOutput'];
+
+/**
+ * Run a plugin lifecycle hook. Each plugin implementing the hook is called in order with the
+ * stage value and a context object, and may return (or resolve) a replacement value, which is
+ * passed on to the next plugin. A hook that throws (or rejects) vetoes the stage.
+ *
+ * @method runPluginHook
+ * @param {Array} plugins the array of plugins, if any
+ * @param {String} hookName the lifecycle hook name (i.e. 'beforeDeploy')
+ * @param {Object} value the stage value (i.e. the sourcemap, environment or staged deployment)
+ * @param {Object} context the stage context (i.e. the config and environment)
+ * @return {Promise} value resolves the stage value, after all plugins have run
+ */
+function runPluginHook(plugins, hookName, value, context) {
+  if (pluginHooks.indexOf(hookName) === -1) { return Promise.reject(error(`while running plugin hooks, unknown hook '${hookName}'`)); }
+
+  return (plugins || []).reduce((previous, plugin) => previous.then((stageValue) => {
+    if (typeof (plugin || {})[hookName] !== 'function') { return stageValue; }
+
+    return Promise.resolve(plugin[hookName](stageValue, context))
+    .then(hookValue => (typeof hookValue === 'undefined' ? stageValue : hookValue));
+  }), Promise.resolve(value));
+}
+
+// the default redeploy criteria, any change to these will trigger a redeploy
+const defaultRedeployCriteria = ['bytecode', 'inputs', 'transactionObject'];
+
+// the constructor inputs, without the trailing tx object (covered by the tx object criteria)
+function constructorInputs(inputs) {
+  const inputsArray = Array.isArray(inputs) ? inputs : [];
+
+  return isTransactionObject(inputsArray[inputsArray.length - 1]) ? inputsArray.slice(0, -1) : inputsArray;
+}
+
+/**
+ * Get the reasons a contract must be redeployed, given the redeploy criteria. The criteria
+ * are 'bytecode' (bytecode and linked libraries), 'inputs', 'transactionObject' (the whole tx
+ * object), or the name of a single tx object field (i.e. 'from', 'value', 'gas').
+ *
+ * @method redeployReasons
+ * @param {Object} baseContract the base contract, previously deployed
+ * @param {Object} stagedContract the staged contract, with bytecode, inputs, tx object and libraries
+ * @param {Array} criteriaInput the redeploy criteria, defaults to bytecode, inputs and tx object
+ * @param {Object} comparisonInput the comparison options (i.e. `{ ignoreMetadataHash: true }`)
+ * @return {Array} reasons the criteria which have changed, empty if none
+ */
+function redeployReasons(baseContract, stagedContract, criteriaInput, comparisonInput) {
+  const criteria = criteriaInput || defaultRedeployCriteria;
+  const comparison = comparisonInput || {};
+  const baseTxObject = baseContract.transactionObject || {};
+  const stagedTxObject = stagedContract.transactionObject || {};
+  const comparableBytecode = bytecode => `0x${stripHexPrefix(comparison.ignoreMetadataHash ? stripMetadataHash(bytecode) : bytecode)}`;
+
+  return criteria.filter((criterion) => {
+    switch (criterion) {
+      case 'bytecode':
+        return !deepEqual(comparableBytecode(baseContract.bytecode), comparableBytecode(stagedContract.bytecode))
+          || !deepEqual(baseContract.libraries, stagedContract.libraries);
+      case 'inputs':
+        return !deepEqual(constructorInputs(baseContract.inputs), constructorInputs(stagedContract.inputs));
+      case 'transactionObject':
+        return !deepEqual(baseContract.transactionObject, stagedContract.transactionObject);
+      default:
+        return !deepEqual(baseTxObject[criterion], stagedTxObject[criterion]);
+    }
+  });
+}
+
 /**
  * Determine if the contract has already been deployed.
  *
  * @method contractIsDeployed
  * @param {Object} baseContract the base contracts on which to deploy new ones
  * @param {Object} stagedContract the transformed environment
+ * @param {Array} criteria the redeploy criteria, if any
+ * @param {Object} comparison the comparison options, if any
  * @return {Boolean} isDeployed has the contract already been deployed
  */
-function contractIsDeployed(baseContract, stagedContract) {
+function contractIsDeployed(baseContract, stagedContract, criteria, comparison) {
   // if bytecode and inputs match, then skip with instance
   if (deepEqual(typeof baseContract.address, 'string')
-    && deepEqual(baseContract.transactionObject, stagedContract.transactionObject)
-    && deepEqual(`0x${stripHexPrefix(baseContract.bytecode)}`, `0x${stripHexPrefix(stagedContract.bytecode)}`)
-    && deepEqual(baseContract.inputs, stagedContract.inputs)) {
+    && redeployReasons(baseContract, stagedContract, criteria, comparison).length === 0) {
     return true;
   }
 
   return false;
 }
 
+/**
+ * Look up the pending contract creation transaction recorded by an interrupted run. If the
+ * node knows the transaction, wait for it to be mined and resolve the base contract it
+ * deployed (with the recorded bytecode, inputs and tx object), else resolve null (the
+ * transaction was dropped or failed).
+ *
+ * @method pendingDeployment
+ * @param {Object} vap the vap query instance
+ * @param {Object} baseContract the recorded base contract, with the pending transaction
+ * @param {Object} pollingOptions the receipt polling options (interval, timeout, confirmations)
+ * @return {Promise} contract resolves the base contract deployed by the pending transaction, or null
+ */
+function pendingDeployment(vap, baseContract, pollingOptions) {
+  const pending = baseContract.pending;
+
+  if (typeof pending !== 'object' || pending === null || typeof pending.transactionHash !== 'string') { return Promise.resolve(null); }
+
+  // a replaced transaction may have been mined in place of the last one sent
+  const transactionHashes = [pending.transactionHash].concat(pending.replacedTransactions || []);
+
+  return Promise.all(transactionHashes.map(transactionHash => vap.getTransactionReceipt(transactionHash)))
+  .then((receipts) => {
+    const minedHash = transactionHashes.filter((transactionHash, index) => receipts[index])[0];
+    if (minedHash) { return minedHash; }
+
+    return vap.getTransactionByHash(pending.transactionHash)
+      .then(transaction => ((transaction === null || typeof transaction !== 'object') ? null : pending.transactionHash));
+  })
+  .then((transactionHash) => {
+    if (transactionHash === null) { return null; }
+
+    return new Promise((resolve, reject) => {
+      getTransactionSuccess(vap, transactionHash, pollingOptions, (receiptError, receipt, confirmations) => {
+        if (receiptError) { return reject(receiptError); }
+
+        return transactionFailure(vap, transactionHash, receipt).then((failureReason) => {
+          if (failureReason !== null) { return resolve(null); }
+
+          const pendingContract = Object.assign({}, baseContract, {
+            address: receipt.contractAddress,
+            receipt,
+            confirmations,
+            bytecode: pending.bytecode,
+            libraries: pending.libraries,
+            inputs: pending.inputs,
+            transactionObject: pending.transactionObject,
+          });
+          delete pendingContract.pending;
+
+          return resolve(pendingContract);
+        }).catch(reject);
+      }).catch(() => {}); // error handled in callback
+    });
+  });
+}
+
+/**
+ * Determine if a recorded contract is missing on chain (i.e. the chain was reset), by checking
+ * the code at the recorded address and the block of the recorded receipt.
+ *
+ * @method contractIsMissing
+ * @param {Object} vap the vap query instance
+ * @param {Object} baseContract the recorded base contract
+ * @return {Promise} missingReason resolves the reason the contract is missing, or null
+ */
+function contractIsMissing(vap, baseContract) {
+  const receipt = baseContract.receipt || {};
+
+  return vap.getCode(baseContract.address, 'latest').then((code) => {
+    if (stripHexPrefix(String(code || '')).replace(/^0+$/, '') === '') {
+      return `there is no code at the recorded address ${baseContract.address}`;
+    }
+
+    // no receipt block recorded, the code check is all we can do
+    if (!isDefined(receipt.blockNumber) || typeof receipt.blockHash !== 'string') {
+      return null;
+    }
+
+    return vap.getBlockByNumber(receipt.blockNumber, false).then((block) => {
+      if (block === null || typeof block !== 'object'
+        || String(block.hash).toLowerCase() !== receipt.blockHash.toLowerCase()) {
+        return `the recorded receipt block ${receipt.blockHash} is no longer on chain`;
+      }
+
+      return null;
+    });
+  });
+}
+
+/**
+ * Find the addresses of libraries referenced by a contract, first from the contracts
+ * deployed in this run, then from the base contracts.
+ *
+ * @method findLibraryAddresses
+ * @param {Array} libraryNames the library names referenced in the contract bytecode
+ * @param {Object} deployedAddresses the addresses of contracts deployed in this run, by name
+ * @param {Object} baseContracts the base contracts on which to deploy new ones
+ * @return {Object} libraries the library addresses by name (undefined if not found)
+ */
+function findLibraryAddresses(libraryNames, deployedAddresses, baseContracts) {
+  const libraries = {};
+
+  // placeholder names are truncated to 36 chars and may include the source file (i.e. 'Lib.sol:Lib')
+  const findAddress = (addresses, libraryName) => addresses[Object.keys(addresses)
+    .filter(contractName => typeof addresses[contractName] === 'string')
+    .filter(contractName => (contractName.substr(0, 36) === libraryName
+      || contractName.split(':').pop() === libraryName.split(':').pop()))[0]];
+
+  const baseAddresses = {};
+  Object.keys(baseContracts).forEach((contractName) => {
+    baseAddresses[contractName] = baseContracts[contractName].address;
+  });
+
+  libraryNames.forEach((libraryName) => {
+    libraries[libraryName] = findAddress(deployedAddresses, libraryName) || findAddress(baseAddresses, libraryName);
+  });
+
+  return libraries;
+}
+
+/**
+ * The receipt polling options for an environment (i.e. `receiptPolling: { interval: 1000, timeout: 60000, confirmations: 12 }`).
+ *
+ * @method receiptPollingOptions
+ * @param {Object} environment the environment object
+ * @return {Object} options the polling interval, timeout (both in ms) and required confirmations
+ */
+function receiptPollingOptions(environment) {
+  return Object.assign({ interval: 7000, timeout: 8000000, confirmations: 1 }, (environment || {}).receiptPolling);
+}
+
+/**
+ * The provider retry options for an environment (i.e. `retry: { attempts: 5, backoff: 2000, factor: 2 }`),
+ * `retry: { attempts: 1 }` calls the provider only once.
+ *
+ * @method retryOptions
+ * @param {Object} environment the environment object
+ * @return {Object} options the attempts, the first backoff delay (in ms) and the backoff factor
+ */
+function retryOptions(environment) {
+  return Object.assign({ attempts: 3, backoff: 1000, factor: 2 }, (environment || {}).retry);
+}
+
+/**
+ * The vap query instance of an environment provider, retrying on provider errors.
+ *
+ * @method environmentQuery
+ * @param {Object} environment the environment object
+ * @return {Object} vap the vap query instance
+ */
+function environmentQuery(environment) {
+  return retryQuery(new Vap(environment.provider), retryOptions(environment));
+}
+
+/**
+ * The gas estimation options for an environment, null if gas estimation is not enabled
+ * (i.e. `estimateGas: true` or `estimateGas: { multiplier: 1.5, cap: 4000000 }`).
+ *
+ * @method gasEstimationOptions
+ * @param {Object} environment the environment object
+ * @return {Object|Null} options the gas estimate multiplier and cap
+ */
+function gasEstimationOptions(environment) {
+  const estimateGas = (environment || {}).estimateGas;
+
+  if (!estimateGas) { return null; }
+
+  return Object.assign({ multiplier: 1.1, cap: null }, (typeof estimateGas === 'object' ? estimateGas : {}));
+}
+
+/**
+ * Build the contract creation data, the bytecode and the encoded constructor inputs.
+ *
+ * @method creationData
+ * @param {Array} contractABI the contract interface
+ * @param {String} bytecode the linked contract bytecode
+ * @param {Array} inputs the constructor inputs
+ * @return {String} data the creation transaction data
+ */
+function creationData(contractABI, bytecode, inputs) {
+  const constructorABI = contractABI.filter(item => item.type === 'constructor')[0];
+
+  if (typeof constructorABI !== 'object' || constructorABI.inputs.length === 0) { return bytecode; }
+
+  return `${bytecode}${abi.encodeParams(constructorABI.inputs.map(input => input.type), inputs).substring(2)}`;
+}
+
+/**
+ * The stuck transaction replacement options for an environment, null if not enabled (i.e.
+ * `replaceStuck: { blocks: 20, multiplier: 1.125, maxGasPrice: 100000000000 }`), the gas price
+ * ceiling defaults to the environment `maxGasPrice`.
+ *
+ * @method replacementOptions
+ * @param {Object} environment the environment object
+ * @return {Object|Null} options the blocks to wait, the gas price multiplier and ceiling
+ */
+function replacementOptions(environment) {
+  const replaceStuck = (environment || {}).replaceStuck;
+
+  if (!replaceStuck) { return null; }
+
+  return Object.assign({ blocks: 20, multiplier: 1.125, maxGasPrice: environment.maxGasPrice }, replaceStuck);
+}
+
+/**
+ * Estimate the gas of a creation transaction, apply the multiplier and cap.
+ *
+ * @method estimateDeploymentGas
+ * @param {Object} vap the vap query instance
+ * @param {Object} transaction the creation transaction, with data
+ * @param {Object} options the gas estimation options, multiplier and cap
+ * @return {Promise} gas resolves the gas limit to use, and the raw gas estimate
+ */
+function estimateDeploymentGas(vap, transaction, options) {
+  const estimateTransaction = Object.assign({}, transaction);
+  delete estimateTransaction.gas;
+
+  return vap.estimateGas(estimateTransaction).then((estimate) => {
+    const gasEstimate = toNumber(estimate);
+    const gas = Math.floor(gasEstimate * options.multiplier);
+
+    return { gasEstimate, gas: (options.cap ? Math.min(gas, options.cap) : gas) };
+  });
+}
+
+/**
+ * Is the gas price strategy a fixed price, 'node', a percentile object or a method.
+ *
+ * @method validGasPriceStrategy
+ * @param {Object|String|Number|Function} strategy the gas price strategy
+ * @return {Boolean} valid is the strategy valid
+ */
+function validGasPriceStrategy(strategy) {
+  if (typeof strategy === 'function' || strategy === 'node') { return true; }
+  if (typeof strategy === 'object' && strategy !== null && isDefined(strategy.percentile)) {
+    return typeof strategy.percentile === 'number' && strategy.percentile >= 0 && strategy.percentile <= 100;
+  }
+
+  return !isNaN(toNumber(strategy));
+}
+
+/**
+ * Resolve the gas price of a transaction from the environment gas price strategy: a fixed
+ * price, 'node' (the node gas price), a percentile of recent blocks (i.e. `{ percentile: 60,
+ * blocks: 20 }`) or a custom method returning a price or a promise. Resolves null if no
+ * strategy is set, rejects if the price exceeds the environment `maxGasPrice`.
+ *
+ * @method resolveGasPrice
+ * @param {Object} vap the vap query instance
+ * @param {Object} environment the environment object
+ * @return {Promise} gasPrice resolves the gas price to use, or null
+ */
+function resolveGasPrice(vap, environment) {
+  const strategy = environment.gasPriceStrategy;
+  let gasPrice = Promise.resolve(null);
+
+  if (typeof strategy === 'function') {
+    gasPrice = Promise.resolve().then(() => strategy(vap, environment));
+  } else if (strategy === 'node') {
+    gasPrice = vap.gasPrice();
+  } else if (typeof strategy === 'object' && strategy !== null && isDefined(strategy.percentile)) {
+    gasPrice = percentileGasPrice(vap, strategy.percentile, strategy.blocks || 20);
+  } else if (isDefined(strategy) && strategy !== null) {
+    gasPrice = Promise.resolve(strategy);
+  }
+
+  return gasPrice.then((price) => {
+    if (price === null || typeof price === 'undefined') { return null; }
+
+    return checkGasPriceCeiling(price, environment);
+  });
+}
+
+// the gas price as a number, throws if it exceeds the environment `maxGasPrice`
+function checkGasPriceCeiling(price, environment) {
+  if (isDefined(environment.maxGasPrice) && toNumber(price) > toNumber(environment.maxGasPrice)) {
+    throw error(`the gas price ${toNumber(price)} exceeds the maximum gas price ${toNumber(environment.maxGasPrice)} of environment '${environment.name}', aborting.`);
+  }
+
+  return toNumber(price);
+}
+
+/**
+ * Resolve the gas price of a transaction, and hold it to the environment `maxGasPrice`, whether
+ * it is given in the tx object (explicitly or by the default tx object) or resolved by the gas
+ * price strategy. With a `maxGasPrice` (or `alwaysSet`), a transaction without a gas price is
+ * sent with the node gas price, so the ceiling is checked against the price actually used.
+ *
+ * @method transactionGasPrice
+ * @param {Object} vap the vap query instance
+ * @param {Object} environment the environment object
+ * @param {Object} transaction the transaction object, the default tx object assigned
+ * @param {Boolean} explicitGasPrice the gas price is given explicitly in the deploy or transact tx object
+ * @param {Boolean} alwaysSet resolve the node gas price, if no gas price is given or resolved
+ * @return {Promise} gasPrice resolves the gas price to set, or null to use the tx object gas price
+ */
+function transactionGasPrice(vap, environment, transaction, explicitGasPrice, alwaysSet) {
+  return (explicitGasPrice ? Promise.resolve(null) : resolveGasPrice(vap, environment))
+  .then((price) => {
+    if (price !== null || isDefined(transaction.gasPrice)) { return price; }
+
+    return (alwaysSet || isDefined(environment.maxGasPrice)) ? vap.gasPrice() : null;
+  })
+  .then((price) => {
+    const sentPrice = price !== null ? price : transaction.gasPrice;
+
+    if (isDefined(sentPrice)) { checkGasPriceCeiling(sentPrice, environment); }
+
+    return price !== null ? toNumber(price) : null;
+  });
+}
+
+/**
+ * The gas price at a percentile of the transactions in recent blocks, the node gas price if
+ * there are no recent transactions.
+ *
+ * @method percentileGasPrice
+ * @param {Object} vap the vap query instance
+ * @param {Number} percentile the percentile (0 - 100)
+ * @param {Number} blocks the number of recent blocks
+ * @return {Promise} gasPrice resolves the gas price
+ */
+function percentileGasPrice(vap, percentile, blocks) {
+  return vap.blockNumber().then((blockNumber) => {
+    const blockNumbers = [];
+    for (let block = toNumber(blockNumber); block >= 0 && blockNumbers.length < blocks; block -= 1) {
+      blockNumbers.push(block);
+    }
+
+    return Promise.all(blockNumbers.map(block => vap.getBlockByNumber(block, true)));
+  }).then((recentBlocks) => {
+    const gasPrices = [];
+    recentBlocks.forEach(block => ((block || {}).transactions || []).forEach(transaction => gasPrices.push(toNumber(transaction.gasPrice))));
+
+    if (gasPrices.length === 0) { return vap.gasPrice(); }
+
+    gasPrices.sort((a, b) => a - b);
+
+    return gasPrices[Math.min(gasPrices.length - 1, Math.floor(gasPrices.length * (percentile / 100)))];
+  });
+}
+
 function isDefined(value) {
   return typeof value !== 'undefined';
 }
@@ -232,6 +1316,99 @@ function isTransactionObject(value) {
   return false;
 }
 
+/**
+ * Build a nonce manager: nonces are assigned one at a time, each from the pending nonce of the sending
+ * account and the nonces already assigned, so concurrent transactions from the same account do not collide,
+ * and the transactions the account sends elsewhere (i.e. contract instance methods) are not reused.
+ *
+ * @method buildNonceManager
+ * @param {Object} vap the vap query instance
+ * @return {Object} nonces `next(from)` resolves the next nonce of the account, `release(from, nonce)` returns a nonce which was not sent
+ */
+function buildNonceManager(vap) {
+  const accounts = {};
+
+  const next = (from) => {
+    const account = String(from).toLowerCase();
+    const state = accounts[account] || { released: [], highest: -1, queue: Promise.resolve() };
+    accounts[account] = state;
+
+    const assigned = state.queue
+      .then(() => vap.getTransactionCount(account, 'pending'))
+      .then((count) => {
+        const pending = toNumber(count);
+
+        // a released nonce is reused first, so no gap is left, unless a transaction sent elsewhere took it
+        state.released = state.released.filter(nonce => nonce >= pending);
+        if (state.released.length > 0) { return state.released.shift(); }
+
+        state.highest = Math.max(pending, state.highest + 1);
+
+        return state.highest;
+      });
+
+    // a failed lookup is retried by the next transaction
+    state.queue = assigned.catch(() => null);
+
+    return assigned;
+  };
+
+  const release = (from, nonce) => {
+    const account = String(from).toLowerCase();
+
+    if (accounts[account]) {
+      accounts[account].released = accounts[account].released.concat([nonce]).sort((a, b) => a - b);
+    }
+  };
+
+  return { next, release };
+}
+
+/**
+ * Build a concurrency limiter, at most `limit` tasks run at once, the other tasks wait in order.
+ *
+ * @method concurrencyLimit
+ * @param {Number} limit the number of tasks to run at once
+ * @return {Function} run runs a task (a method returning a promise), resolves or rejects with the task
+ */
+function concurrencyLimit(limit) {
+  const queue = [];
+  let running = 0;
+
+  const runNext = () => {
+    if (running >= limit || queue.length === 0) { return; }
+
+    const task = queue.shift();
+    running += 1;
+
+    Promise.resolve().then(task.run).then(task.resolve, task.reject).then(() => {
+      running -= 1;
+      runNext();
+    });
+  };
+
+  return run => new Promise((resolve, reject) => {
+    queue.push({ run, resolve, reject });
+    runNext();
+  });
+}
+
+/**
+ * Normalize the first deploy argument, either the contract data or a deploy options object
+ * (i.e. `deploy({ contract: contracts.Token, alias: 'TokenA' }, ...)`).
+ *
+ * @method deployOptions
+ * @param {Object} value the contract data or deploy options object
+ * @return {Object} options the deploy options, with the contract data under `contract`
+ */
+function deployOptions(value) {
+  if (typeof value === 'object' && value !== null && typeof value.contract === 'object') {
+    return Object.assign({}, value);
+  }
+
+  return { contract: value };
+}
+
 /**
  * Basic deployer, if not deployed, deploy, else, skip and return instance
  *
@@ -239,14 +1416,33 @@ function isTransactionObject(value) {
  * @param {Array} baseContracts the base contracts on which to compare to see if already deployed
  * @param {Object} transformedEnvironment the transformed environment
  * @param {Object} report the reporter method to report newly deployed contracts
+ * @param {Object} runOptionsInput the run options (i.e. `{ force: true }` to redeploy everything,
+ * `hook` to run the plugin lifecycle hooks, `reportPending` to report sent creation transactions (null once failed),
+ * `dryRun` to record the staged deployments instead of sending them, see `dryRunDeployment`,
+ * `signedTransactions` to broadcast the signed creation transactions of `unsignedDeployment`)
  * @callback {Function} deploy the deply method used in module.deployment
  */
-function buildDeployMethod(baseContracts, transformedEnvironment, report) {
-  return (...args) => {
+function buildDeployMethod(baseContracts, transformedEnvironment, report, runOptionsInput) {
+  const runOptions = runOptionsInput || {};
+  const hook = runOptions.hook || ((hookName, value) => Promise.resolve(value));
+  const reportPending = runOptions.reportPending || (() => {});
+  const dryRun = runOptions.dryRun;
+  const signedTransactions = runOptions.signedTransactions;
+  const limit = concurrencyLimit(isDefined(transformedEnvironment.concurrency) ? transformedEnvironment.concurrency : Infinity);
+
+  // the nonces of the sending accounts, shared with the transact method when given
+  let nonces = runOptions.nonces || null;
+
+  // addresses of the contracts deployed (or skipped) in this run, used for library linking
+  const deployedAddresses = {};
+
+  const deploy = (...args) => {
     let transactionObject = {};
+    let explicitGas = false;
+    let explicitGasPrice = false;
     const defaultTxObject = transformedEnvironment.defaultTxObject || {};
-    const contractData = args[0];
-
+    const options = deployOptions(args[0]);
+    const contractData = options.contract;
 
     if (typeof contractData !== 'object') {
       const noContractError = 'A contract you are trying to deploy does not exist in your contracts object. Please check your entry, loaders and contracts object.';
@@ -254,14 +1450,38 @@ function buildDeployMethod(baseContracts, transformedEnvironment, report) {
       return Promise.reject(error(noContractError));
     }
 
-    const baseContract = baseContracts[contractData.name] || {};
+    if (isDefined(options.alias) && typeof options.alias !== 'string') {
+      const invalidAliasError = `Attempting to deploy contract '${contractData.name}' with an invalid alias, the alias must be type String, got ${typeof options.alias}.`;
+
+      return Promise.reject(error(invalidAliasError));
+    }
+
+    // the output name of this instance, the alias if any, else the contract name
+    const instanceName = options.alias || contractData.name;
+    const force = (runOptions.force || options.force) === true;
+    const redeployCriteria = options.redeployOn || transformedEnvironment.redeployOn;
+    const ignoreMetadataHash = (isDefined(options.ignoreMetadataHash) ? options.ignoreMetadataHash : transformedEnvironment.ignoreMetadataHash) === true;
+    let baseContract = baseContracts[instanceName] || {};
     const contractNewArguments = args.slice(1);
-    const contractInputs = bnToString(Array.prototype.slice.call(contractNewArguments));
+    let contractInputs = bnToString(Array.prototype.slice.call(contractNewArguments));
     const contractBytecode = `0x${stripHexPrefix(contractData.bytecode)}`;
+    const libraryNames = linkReferences(contractBytecode);
+    const libraries = libraryNames.length > 0 ? findLibraryAddresses(libraryNames, deployedAddresses, baseContracts) : undefined;
+    const missingLibraries = libraryNames.filter(libraryName => !VapUtils.isHexString(libraries[libraryName], 20));
+
+    // all link references must be resolved before the contract can be deployed
+    if (missingLibraries.length > 0) {
+      const missingLibrariesError = `Attempting to deploy contract '${instanceName}' which links against the libraries '${missingLibraries.join("', '")}', but they have not been deployed in this run or found in the base environment '${transformedEnvironment.name}'. Please deploy the libraries before the contracts that use them.`;
+
+      return Promise.reject(error(missingLibrariesError));
+    }
+
     const contractABI = JSON.parse(contractData.interface);
-    const vap = new Vap(transformedEnvironment.provider);
-    const contract = new VapContract(vap);
-    const contractFactory = contract(contractABI, contractBytecode, defaultTxObject);
+    const vap = environmentQuery(transformedEnvironment);
+    // the instances of a dry run (plan, pre-flight check or offline export) can not send transactions
+    const contract = new VapContract(dryRun ? readOnlyQuery(vap, `nothing is sent while dry running the deployment of environment '${transformedEnvironment.name}' (plan, pre-flight check or offline export), use the 'transact' method for method calls`) : vap);
+    const linkedBytecode = linkBytecode(contractBytecode, libraries);
+    const contractFactory = contract(contractABI, linkedBytecode, defaultTxObject);
 
     // trim callback from inputs, not args
     // custom tx object not handled yet.....
@@ -272,52 +1492,431 @@ function buildDeployMethod(baseContracts, transformedEnvironment, report) {
     // if there is a tx object provided for just this contractInputs
     // then get tx object, assign over default and use as the latest tx object
     if (isTransactionObject(contractInputs[contractInputs.length - 1])) {
-      const transformedTransactionObject = transformTxObject(contractInputs[contractInputs.length - 1], transformedEnvironment.accounts);
+      const transformedTransactionObject = transformTxObject(contractInputs[contractInputs.length - 1], transformedEnvironment.accounts, transformedEnvironment.namedAccounts);
       contractInputs[contractInputs.length - 1] = transformedTransactionObject;
       transactionObject = Object.assign({}, cloneDeep(defaultTxObject), cloneDeep(transformedTransactionObject));
+      explicitGas = isDefined(transformedTransactionObject.gas);
+      explicitGasPrice = isDefined(transformedTransactionObject.gasPrice);
     } else {
       transactionObject = Object.assign({}, cloneDeep(defaultTxObject));
     }
 
-    // check contract has transaction object, either default or specified
-    if (!VapUtils.isHexString(transactionObject.from, 20)) {
-      const invalidFromAccount = `Attempting to deploy contract '${contractData.name}' with an invalid 'from' account specified. The 'from' account must be a valid 20 byte hex prefixed Vapory address, got value '${transactionObject.from}'. Please specify a defaultTxObject in the module.environment.defaultTxObject (i.e. 'defaultTxObject: { from: 0 }') object or in the in the deploy method.`;
+    // named accounts given to address inputs are deployed and recorded as their addresses
+    contractInputs = resolveAccountInputs((contractABI.filter(item => item.type === 'constructor')[0] || { inputs: [] }).inputs,
+      contractInputs, transformedEnvironment.namedAccounts);
 
-      return Promise.reject(error(invalidFromAccount));
-    }
+    // the full and metadata stripped bytecode hashes, recorded when ignoring the metadata hash
+    const bytecodeHashes = code => (ignoreMetadataHash ? {
+      bytecodeHash: bytecodeHash(code),
+      strippedBytecodeHash: bytecodeHash(stripMetadataHash(code)),
+    } : {});
 
     // check if contract is already deployed, if so, return instance
+    const hookContext = { environment: transformedEnvironment, contract: contractData };
+
     return new Promise((resolve, reject) => {
-      const resolveAndReport = (contractInstance) => {
-        // report the contract
-        report(contractData.name,
-          contractData,
-          contractInstance.address,
-          contractInputs,
+      const resolveAndReport = (contractInstance, details, hookName) => {
+        const receipt = contractInstance.receipt || baseContract.receipt;
+        const reportDetails = Object.assign({}, (options.alias ? { contractName: contractData.name } : {}), (libraries ? { libraries } : {}),
+          (isDefined(transformedEnvironment.networkId) ? { networkId: transformedEnvironment.networkId } : {}), details);
+        const reportInstance = (instanceDetails) => {
+          deployedAddresses[instanceName] = contractInstance.address;
+
+          // report the contract
+          report(instanceName,
+            contractData,
+            contractInstance.address,
+            contractInputs,
+            transactionObject,
+            receipt,
+            instanceDetails);
+        };
+
+        // plugins may enrich the reported details, the contract is reported even if a plugin throws
+        hook(hookName, Object.assign({}, reportDetails, {
+          name: instanceName,
+          address: contractInstance.address,
+          inputs: contractInputs,
           transactionObject,
-          (contractInstance.receipt || baseContract.receipt));
+          receipt,
+        }), hookContext)
+        .then((hookedDetails) => {
+          reportInstance(hookedDetails);
 
-        // resolve deployment
-        resolve(contractInstance);
+          // resolve deployment
+          resolve(contractInstance);
+        }, (hookError) => {
+          reportInstance(reportDetails);
+          reject(hookError);
+        });
       };
 
-      // if the contract is deployed, resolve with base base contract, else deploy
-      if (contractIsDeployed(baseContract, {
-        transactionObject,
-        bytecode: contractBytecode,
+      const rejectDeployment = (deployError) => {
+        const deployFailure = error(`while deploying contract '${instanceName}' with inputs ${JSON.stringify(contractInputs)}: ${deployError}`);
+
+        reject(deployFailure);
+      };
+
+      const deployNewContract = (reasons) => {
+        const gasEstimation = (explicitGas || signedTransactions) ? null : gasEstimationOptions(transformedEnvironment);
+        const replacement = replacementOptions(transformedEnvironment);
+        const deployTransaction = Object.assign({}, transactionObject, {
+          data: creationData(contractABI, linkedBytecode, constructorInputs(contractInputs)),
+        });
+
+        // a dry run records the deployment, and resolves a stand-in instance, nothing is sent
+        if (dryRun) {
+          return Promise.resolve(dryRun({
+            name: instanceName,
+            contractName: contractData.name,
+            action: typeof baseContract.address === 'string' ? 'redeploy' : 'deploy',
+            reasons,
+            address: standInAddress(transformedEnvironment.name, instanceName),
+            inputs: contractInputs,
+            transactionObject,
+            transaction: deployTransaction,
+            explicitGas,
+            explicitGasPrice,
+          }))
+          .then((address) => {
+            deployedAddresses[instanceName] = address;
+            resolve(contractFactory.at(address));
+          })
+          .catch(reject);
+        }
+
+        // a broadcast sends the signed transaction, with the exported nonce, gas and gas price
+        let signedTransaction = null;
+        try {
+          signedTransaction = signedTransactions ? signedDeployment(signedTransactions, instanceName, deployTransaction, transformedEnvironment.name) : null;
+        } catch (signedError) {
+          return reject(signedError);
+        }
+
+        // estimate the gas limit and resolve the gas price, unless given explicitly in the deploy tx object
+        // a replaced transaction bumps the gas price it was sent with, so it is always set
+        const signedGas = () => [
+          { gas: signedTransaction.transaction.gas },
+          Promise.resolve(signedTransaction.transaction.gasPrice)
+            .then((gasPrice) => { checkGasPriceCeiling(gasPrice, transformedEnvironment); return gasPrice; }),
+        ];
+        const unsignedGas = () => [
+          (gasEstimation ? estimateDeploymentGas(vap, deployTransaction, gasEstimation) : {}),
+          transactionGasPrice(vap, transformedEnvironment, deployTransaction, explicitGasPrice, replacement !== null),
+        ];
+
+        Promise.all(signedTransaction ? signedGas() : unsignedGas())
+        // assign the nonce of the sending account locally, so concurrent deploys from the same account do not collide
+        .then((gasResults) => {
+          if (signedTransaction || isDefined(deployTransaction.nonce)) { return gasResults.concat([null]); }
+
+          nonces = nonces || buildNonceManager(vap);
+
+          return nonces.next(deployTransaction.from).then(nonce => gasResults.concat([nonce]));
+        })
+        .then((gasResults) => {
+          const gasDetails = Object.assign({}, gasResults[0], (gasResults[1] !== null ? { gasPrice: gasResults[1] } : {}));
+          const assignedNonce = gasResults[2];
+          const sentTransaction = Object.assign({}, deployTransaction, (gasDetails.gas ? { gas: gasDetails.gas } : {}),
+            (isDefined(gasDetails.gasPrice) ? { gasPrice: gasDetails.gasPrice } : {}),
+            (signedTransaction ? { nonce: signedTransaction.transaction.nonce } : {}),
+            (assignedNonce !== null ? { nonce: assignedNonce } : {}));
+          const sendContract = signedTransaction
+            ? (...sendArgs) => broadcastContract(vap, contractFactory, signedTransaction.signedTransaction, ...sendArgs)
+            : (...sendArgs) => deployContract(vap, contractFactory, sentTransaction, ...sendArgs);
+
+          // the pending transaction is reported as soon as it is sent, so an interrupted run can resume it
+          let mined = false;
+          let sent = false;
+          const reportPendingTransaction = (transactionHash, transactionHashes) => {
+            sent = true;
+            const replacedTransactions = (transactionHashes || []).filter(hash => hash !== transactionHash);
+            const pending = {
+              transactionHash,
+              nonce: isDefined(sentTransaction.nonce) ? toNumber(sentTransaction.nonce) : null,
+              bytecode: contractBytecode,
+              libraries,
+              inputs: contractInputs,
+              transactionObject,
+            };
+
+            // all the transactions sent with the nonce are watched when resumed
+            if (replacedTransactions.length > 0) { pending.replacedTransactions = replacedTransactions; }
+
+            reportPending(instanceName, pending);
+
+            // the nonce is looked up, if it was left to the node
+            if (pending.nonce === null) {
+              vap.getTransactionByHash(transactionHash).then((transaction) => {
+                if (!mined && transaction && isDefined(transaction.nonce)) {
+                  reportPending(instanceName, Object.assign({}, pending, { nonce: toNumber(transaction.nonce) }));
+                }
+              }).catch(() => {});
+            }
+          };
+
+          sendContract(Object.assign({}, receiptPollingOptions(transformedEnvironment), (replacement && !signedTransaction ? { replace: replacement } : {})), (deployError, instance, deployDetails) => {
+            mined = true;
+
+            if (deployError) {
+              // a nonce which was never sent is reused by the next deploy or call, so no gap is left
+              if (!sent && assignedNonce !== null && !deployError.mayBeSent) { nonces.release(deployTransaction.from, assignedNonce); }
+
+              // a creation transaction mined but failed is no longer pending
+              if (deployError.mined) { reportPending(instanceName, null); }
+
+              rejectDeployment(deployError);
+            } else {
+              resolveAndReport(instance, Object.assign({}, deployDetails, bytecodeHashes(linkedBytecode), (gasEstimation ? {
+                gasEstimate: gasDetails.gasEstimate,
+                gasUsed: toNumber(instance.receipt.gasUsed),
+              } : {}), (isDefined(gasDetails.gasPrice) ? { gasPrice: gasDetails.gasPrice } : {}),
+                (deployDetails.replacedTransactions ? { gasPrice: deployDetails.gasPrice } : {})), 'afterDeploy');
+            }
+          }, reportPendingTransaction);
+        })
+        .catch(rejectDeployment);
+
+        return null;
+      };
+
+      // plugins may audit, veto (by throwing) or enrich the inputs and tx object of the deployment
+      hook('beforeDeploy', {
+        name: instanceName,
+        contractName: contractData.name,
         inputs: contractInputs,
-      })) {
-        resolveAndReport(contractFactory.at(baseContract.address));
-      } else {
-        deployContract(vap, contractFactory, contractInputs, (deployError, instance) => {
-          if (deployError) {
-            console.log(error(`while deploying contract '${contractData.name}': `, JSON.stringify(deployError.value, null, 2))); // eslint-disable-line
-            reject(deployError);
-          } else {
-            resolveAndReport(instance);
+        transactionObject,
+      }, hookContext)
+      .catch((vetoError) => {
+        throw error(`the deployment of contract '${instanceName}' was vetoed by a plugin: ${vetoError.message || vetoError}`);
+      })
+      .then((stagedDeployment) => {
+        contractInputs = stagedDeployment.inputs || contractInputs;
+        transactionObject = stagedDeployment.transactionObject || transactionObject;
+
+        // check contract has transaction object, either default or specified
+        if (!VapUtils.isHexString(transactionObject.from, 20)) {
+          throw error(`Attempting to deploy contract '${instanceName}' with an invalid 'from' account specified. The 'from' account must be a valid 20 byte hex prefixed Vapory address, got value '${transactionObject.from}'. Please specify a defaultTxObject in the module.environment.defaultTxObject (i.e. 'defaultTxObject: { from: 0 }') object or in the in the deploy method.`);
+        }
+
+        // a pending deployment recorded by an interrupted run is looked up before deciding to deploy
+        return (force || dryRun ? Promise.resolve(null) : pendingDeployment(vap, baseContract, receiptPollingOptions(transformedEnvironment)))
+        .then((pendingContract) => {
+          if (pendingContract !== null) {
+            log(`Contract '${instanceName}' was pending in transaction ${baseContract.pending.transactionHash}, mined at ${pendingContract.address}.`);
+            baseContract = pendingContract;
+          } else if (!force && !dryRun && baseContract.pending) {
+            log(`Contract '${instanceName}' was pending in transaction ${baseContract.pending.transactionHash}, but it was dropped or failed.`);
           }
+
+          const stagedContract = {
+            transactionObject,
+            bytecode: contractBytecode,
+            inputs: contractInputs,
+            libraries,
+          };
+
+          // if the contract is deployed and still on chain, resolve with base base contract, else deploy
+          if (!force && contractIsDeployed(baseContract, stagedContract, redeployCriteria, { ignoreMetadataHash })) {
+            return contractIsMissing(vap, baseContract).then((missingReason) => {
+              if (missingReason === null && dryRun) {
+                deployedAddresses[instanceName] = baseContract.address;
+                dryRun({
+                  name: instanceName,
+                  contractName: contractData.name,
+                  action: 'skip',
+                  reasons: [],
+                  address: baseContract.address,
+                  inputs: contractInputs,
+                  transactionObject,
+                });
+
+                resolve(contractFactory.at(baseContract.address));
+              } else if (missingReason === null) {
+                // the recorded bytecode may differ by metadata hash only, keep the live bytecode
+                const liveDetails = ignoreMetadataHash ? Object.assign({ bytecode: baseContract.bytecode },
+                  bytecodeHashes(linkBytecode(baseContract.bytecode, baseContract.libraries))) : {};
+
+                resolveAndReport(contractFactory.at(baseContract.address), Object.assign({ confirmations: baseContract.confirmations }, liveDetails), 'onSkip');
+              } else if (transformedEnvironment.onMissingContract === 'error') {
+                reject(error(`Contract '${instanceName}' is recorded as deployed in environment '${transformedEnvironment.name}', but ${missingReason}.`));
+              } else {
+                log(`Contract '${instanceName}' is recorded as deployed, but ${missingReason}, redeploying...`);
+                deployNewContract([`missing on chain, ${missingReason}`]);
+              }
+            });
+          }
+
+          return deployNewContract(deploymentReasons(baseContract, stagedContract, redeployCriteria, { ignoreMetadataHash, force }));
         });
-      }
+      })
+      .catch(reject);
+    });
+  };
+
+  // plugins may audit or replace deployment errors, at most `concurrency` deploys run at once
+  return (...args) => limit(() => deploy(...args)).catch(deployError => hook('onError', deployError, {
+    environment: transformedEnvironment,
+    stage: 'deploy',
+  }).then((hookedError) => { throw hookedError; }));
+}
+
+/**
+ * The reasons a contract is deployed, in plain words (i.e. 'new contract', 'bytecode changed').
+ *
+ * @method deploymentReasons
+ * @param {Object} baseContract the base contract, previously deployed (if any)
+ * @param {Object} stagedContract the staged contract, with bytecode, inputs, tx object and libraries
+ * @param {Array} criteria the redeploy criteria, if any
+ * @param {Object} comparison the comparison options (`ignoreMetadataHash`, `force`), if any
+ * @return {Array} reasons the deployment reasons
+ */
+function deploymentReasons(baseContract, stagedContract, criteria, comparison) {
+  const descriptions = { bytecode: 'bytecode changed', inputs: 'inputs changed', transactionObject: 'tx object changed' };
+
+  if ((comparison || {}).force === true) { return ['forced']; }
+  if (typeof baseContract.address !== 'string') {
+    return ['new contract'].concat(baseContract.pending ? [`pending transaction ${baseContract.pending.transactionHash}`] : []);
+  }
+
+  return redeployReasons(baseContract, stagedContract, criteria, comparison)
+    .map(criterion => descriptions[criterion] || `'${criterion}' changed`);
+}
+
+/**
+ * A stand-in address for a contract staged in a dry run, derived from its environment and name.
+ *
+ * @method standInAddress
+ * @param {String} environmentName the environment name
+ * @param {String} instanceName the contract instance name
+ * @return {String} address the stand-in address
+ */
+function standInAddress(environmentName, instanceName) {
+  return `0x${bytecodeHash(Buffer.from(`${environmentName}:${instanceName}`).toString('hex')).slice(-40)}`;
+}
+
+/**
+ * Determine if a method call has already been made against the same contract address.
+ *
+ * @method callIsMade
+ * @param {Object} baseContract the base contract, with the previously made calls
+ * @param {String} address the address of the contract instance in this run
+ * @param {Object} stagedCall the staged call, with method name and args
+ * @return {Object|Undefined} call the previously made call, if any
+ */
+function callIsMade(baseContract, address, stagedCall) {
+  if (typeof baseContract.address !== 'string'
+    || String(baseContract.address).toLowerCase() !== String(address).toLowerCase()) {
+    return undefined;
+  }
+
+  return (baseContract.calls || []).filter(call => call.method === stagedCall.method
+    && deepEqual(call.args, stagedCall.args))[0];
+}
+
+/**
+ * Basic transactor, sends a method call to a contract deployed in this run, if the same call
+ * has already been made against the same address, skip and return the previous call.
+ *
+ * @method buildTransactMethod
+ * @param {Object} baseContracts the base contracts on which to compare to see if already called
+ * @param {Object} transformedEnvironment the transformed environment
+ * @param {Function} getDeployedContracts returns the contracts deployed in this run
+ * @param {Function} report the reporter method to report made calls
+ * @param {Object} runOptions the run options (i.e. `nonces`, the nonce manager shared with the deploy method)
+ * @callback {Function} transact the transact method used in module.deployment
+ */
+function buildTransactMethod(baseContracts, transformedEnvironment, getDeployedContracts, report, runOptions) {
+  const nonces = (runOptions || {}).nonces || null;
+
+  return (...args) => {
+    const instanceName = args[0];
+    const methodName = args[1];
+    const deployedContract = getDeployedContracts()[instanceName];
+    const defaultTxObject = transformedEnvironment.defaultTxObject || {};
+    let methodArgs = bnToString(args.slice(2));
+    let transactionObject = Object.assign({}, cloneDeep(defaultTxObject));
+    let explicitGasPrice = false;
+
+    if (typeof deployedContract !== 'object') {
+      const noInstanceError = `Attempting to transact with contract '${instanceName}', which has not been deployed in this run. Please deploy the contract before sending transactions to it.`;
+
+      return Promise.reject(error(noInstanceError));
+    }
+
+    const contractABI = JSON.parse(deployedContract.interface);
+    const methodABI = contractABI.filter(item => item.type === 'function' && item.name === methodName)[0];
+
+    if (typeof methodABI !== 'object') {
+      const noMethodError = `Attempting to transact with method '${methodName}' of contract '${instanceName}', but the method does not exist in the contract interface.`;
+
+      return Promise.reject(error(noMethodError));
+    }
+
+    // if there is a tx object provided for just this call, assign over default
+    if (methodArgs.length > methodABI.inputs.length && isTransactionObject(methodArgs[methodArgs.length - 1])) {
+      const transformedTransactionObject = transformTxObject(methodArgs.pop(), transformedEnvironment.accounts, transformedEnvironment.namedAccounts);
+      transactionObject = Object.assign({}, transactionObject, cloneDeep(transformedTransactionObject));
+      explicitGasPrice = isDefined(transformedTransactionObject.gasPrice);
+    }
+
+    // named accounts given to address arguments are sent and recorded as their addresses
+    methodArgs = resolveAccountInputs(methodABI.inputs, methodArgs, transformedEnvironment.namedAccounts);
+
+    if (!VapUtils.isHexString(transactionObject.from, 20)) {
+      const invalidFromAccount = `Attempting to transact with method '${methodName}' of contract '${instanceName}' with an invalid 'from' account specified, got value '${transactionObject.from}'. Please specify a defaultTxObject in the module.environment.defaultTxObject (i.e. 'defaultTxObject: { from: 0 }') object or in the transact method.`;
+
+      return Promise.reject(error(invalidFromAccount));
+    }
+
+    const stagedCall = { method: methodName, args: methodArgs, transactionObject };
+    const madeCall = callIsMade(baseContracts[instanceName] || {}, deployedContract.address, stagedCall);
+
+    // if the call was made against this address before, skip and report the previous call
+    if (madeCall) {
+      report(instanceName, madeCall);
+
+      return Promise.resolve(madeCall);
+    }
+
+    const vap = environmentQuery(transformedEnvironment);
+    const contract = new VapContract(vap);
+    const contractInstance = contract(contractABI, deployedContract.bytecode, transactionObject).at(deployedContract.address);
+    let gasPrice = null;
+
+    return transactionGasPrice(vap, transformedEnvironment, transactionObject, explicitGasPrice, false)
+    .then((resolvedGasPrice) => {
+      gasPrice = resolvedGasPrice;
+
+      return (nonces && !isDefined(transactionObject.nonce)) ? nonces.next(transactionObject.from) : null;
+    })
+    .then((nonce) => {
+      const sentTransactionObject = Object.assign({}, transactionObject, (gasPrice !== null ? { gasPrice } : {}), (nonce !== null ? { nonce } : {}));
+
+      return contractInstance[methodName].apply(contractInstance, methodArgs.concat([sentTransactionObject]))
+      .catch((sendError) => {
+        if (nonce !== null && !(sendError && sendError.mayBeSent)) { nonces.release(transactionObject.from, nonce); }
+
+        throw sendError;
+      });
+    })
+    .then(transactionHash => new Promise((resolve, reject) => {
+      getTransactionSuccess(vap, transactionHash, receiptPollingOptions(transformedEnvironment), (receiptError, receipt, confirmations) => {
+        if (receiptError) { return reject(receiptError); }
+
+        return transactionFailure(vap, transactionHash, receipt).then((failureReason) => {
+          if (failureReason !== null) { throw error(`transaction ${transactionHash} ${failureReason}`); }
+
+          const call = Object.assign({}, stagedCall, { transactionHash, receipt, confirmations }, (gasPrice !== null ? { gasPrice } : {}));
+
+          report(instanceName, call);
+
+          resolve(call);
+        }).catch(reject);
+      }).catch(() => {}); // error handled in callback
+    }))
+    .catch((transactError) => {
+      throw error(`while transacting with method '${methodName}' of contract '${instanceName}': ${transactError}`);
     });
   };
 }
@@ -367,13 +1966,49 @@ function entrySourceMap(entry, callback) {
 // critical concept methods for vapdeploy
 module.exports = {
   transformTxObject,
+  resolveNamedAccounts,
+  resolveAccountInputs,
+  contractIsMissing,
+  pendingDeployment,
+  findLibraryAddresses,
+  deployOptions,
   processOutput,
+  runPluginHook,
+  redeployReasons,
+  contractIsDeployed,
+  receiptPollingOptions,
+  replacementOptions,
+  retryOptions,
+  environmentQuery,
+  gasEstimationOptions,
+  creationData,
+  resolveGasPrice,
+  transactionGasPrice,
+  buildNonceManager,
+  concurrencyLimit,
   buildDeployMethod,
+  deploymentReasons,
+  standInAddress,
+  sortDeploymentGraph,
+  deploymentGraphError,
+  graphDeployment,
+  deploymentModule,
+  runDeploymentModule,
+  dryRunDeployment,
+  preflightCheck,
+  unsignedDeployment,
+  signedDeployment,
+  environmentPlan,
+  formatPlan,
+  callIsMade,
+  buildTransactMethod,
   loadContracts,
   requireLoader,
   configError,
   transformContracts,
   loadEnvironment,
+  moduleEnvironments,
+  networkMismatch,
   singleEntrySourceMap,
   entrySourceMap,
 };
@@ -20,12 +20,563 @@ entrySourceMap,
 */
 
 describe('lib', () => {
+  // a mock JSON-RPC provider, each transaction is mined in a block of its own, the sent transactions are recorded
+  const mockProvider = (optionsInput) => {
+    const options = Object.assign({ accounts: ['0x7f3e74e3dbb4091973ea1b449692c504c35ef768', '0x3a70a6765746af3bfa974fff9d753d4b6c56b333'] }, optionsInput);
+    const sent = [];
+    const transactions = {};
+    const receipts = {};
+    let blockNumber = 10;
+    const hex = value => `0x${Number(value).toString(16)}`;
+    const pad = (value, length) => `0x${`${Array(length + 1).join('0')}${Number(value).toString(16)}`.slice(-length)}`;
+    const handlers = {
+      net_version: () => '3',
+      accounts: () => options.accounts,
+      blockNumber: () => hex(blockNumber),
+      gasPrice: () => hex(20000000000),
+      getBalance: () => options.balance || '0xde0b6b3a7640000',
+      getCode: address => ((options.noCode || []).indexOf(address) === -1 ? '0x6060' : '0x'),
+      getTransactionCount: account => hex(sent.filter(transaction => transaction.from === account).length),
+      estimateGas: () => hex(100000),
+      getBlockByNumber: number => ({ number, hash: pad(parseInt(number, 16), 64) }),
+      getTransactionByHash: hash => transactions[hash] || null,
+      getTransactionReceipt: hash => receipts[hash] || null,
+      sendTransaction: (transaction) => {
+        if (options.sendError) { throw new Error(options.sendError); }
+
+        const hash = pad(sent.length + 1, 64);
+
+        sent.push(transaction);
+        blockNumber += 1;
+        transactions[hash] = Object.assign({ hash }, transaction);
+        receipts[hash] = {
+          transactionHash: hash,
+          blockNumber: hex(blockNumber),
+          blockHash: pad(blockNumber, 64),
+          gasUsed: hex(21000),
+          status: isFailure(transaction) ? '0x0' : '0x1',
+          contractAddress: transaction.to ? null : pad(sent.length, 40),
+        };
+
+        return hash;
+      },
+    };
+    const isFailure = transaction => typeof options.fail === 'function' && options.fail(transaction);
+
+    return {
+      sent,
+      sendAsync: (payload, callback) => {
+        const handler = handlers[payload.method.replace(/^(vap|eth)_/, '')];
+        let result = null;
+
+        try {
+          result = handler(...payload.params);
+        } catch (providerError) {
+          return callback(providerError, null);
+        }
+
+        return callback(null, { id: payload.id, jsonrpc: '2.0', result });
+      },
+    };
+  };
+
+  // a loaded environment of the mock provider, and a contract with a method to call
+  const mockEnvironment = provider => ({
+    name: 'ropsten',
+    provider,
+    accounts: ['0x7f3e74e3dbb4091973ea1b449692c504c35ef768', '0x3a70a6765746af3bfa974fff9d753d4b6c56b333'],
+    defaultTxObject: { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', gas: 3000001 },
+    receiptPolling: { interval: 1 },
+  });
+  const mockContract = {
+    name: 'SimpleStore',
+    bytecode: '0x6060',
+    interface: JSON.stringify([{ type: 'function', name: 'setOwner', constant: false, inputs: [{ name: 'owner', type: 'address' }], outputs: [] }]),
+  };
+
   // smaller methods first
 
   describe('transformTxObject', () => {
     it('should function properly', () => {
       assert.equal(typeof lib.transformTxObject, 'function');
     });
+
+    it('should transform account indexes and named accounts', () => {
+      const accounts = ['0x7f3e74e3dbb4091973ea1b449692c504c35ef768', '0x3a70a6765746af3bfa974fff9d753d4b6c56b333'];
+      const namedAccounts = lib.resolveNamedAccounts({ deployer: 1, admin: '0x00000000000000000000000000000000000000ad' }, accounts);
+
+      assert.deepEqual(namedAccounts, { deployer: accounts[1], admin: '0x00000000000000000000000000000000000000ad' });
+      assert.equal(lib.transformTxObject({ from: 0 }, accounts, namedAccounts).from, accounts[0]);
+      assert.equal(lib.transformTxObject({ from: 'deployer' }, accounts, namedAccounts).from, accounts[1]);
+      assert.equal(lib.transformTxObject({ from: 'deployer' }, accounts).from, 'deployer');
+    });
+  });
+
+  describe('resolveAccountInputs', () => {
+    it('should resolve named accounts of address inputs only', () => {
+      const abiInputs = [{ type: 'address' }, { type: 'string' }, { type: 'address[]' }];
+      const namedAccounts = { admin: '0x00000000000000000000000000000000000000ad' };
+
+      assert.deepEqual(lib.resolveAccountInputs(abiInputs, ['admin', 'admin', ['admin', '0x01']], namedAccounts),
+        ['0x00000000000000000000000000000000000000ad', 'admin', ['0x00000000000000000000000000000000000000ad', '0x01']]);
+      assert.deepEqual(lib.resolveAccountInputs([{ type: 'address' }], ['admin', { from: 'admin' }], namedAccounts),
+        ['0x00000000000000000000000000000000000000ad', { from: 'admin' }]);
+      assert.deepEqual(lib.resolveAccountInputs(abiInputs, ['admin'], undefined), ['admin']);
+    });
+  });
+
+  describe('redeployReasons', () => {
+    const baseContract = {
+      address: '0x3a70a6765746af3bfa974fff9d753d4b6c56b333',
+      bytecode: '0x6060',
+      inputs: [45, { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', gas: 3000000 }],
+      transactionObject: { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', gas: 3000000 },
+    };
+
+    it('should function properly', () => {
+      assert.equal(typeof lib.redeployReasons, 'function');
+      assert.deepEqual(lib.redeployReasons(baseContract, baseContract), []);
+    });
+
+    it('should use the default criteria', () => {
+      const stagedContract = Object.assign({}, baseContract, {
+        bytecode: '6061',
+        transactionObject: { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', gas: 3000001 },
+      });
+
+      assert.deepEqual(lib.redeployReasons(baseContract, stagedContract), ['bytecode', 'transactionObject']);
+    });
+
+    it('should use custom criteria', () => {
+      const stagedContract = Object.assign({}, baseContract, {
+        inputs: [45, { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', gas: 3000001 }],
+        transactionObject: { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', gas: 3000001 },
+        libraries: { SafeMath: '0x3a70a6765746af3bfa974fff9d753d4b6c56b333' },
+      });
+
+      assert.deepEqual(lib.redeployReasons(baseContract, stagedContract, ['inputs', 'from']), []);
+      assert.deepEqual(lib.redeployReasons(baseContract, stagedContract, ['inputs', 'from', 'gas']), ['gas']);
+      assert.deepEqual(lib.redeployReasons(baseContract, stagedContract, ['bytecode']), ['bytecode']);
+    });
+
+    it('should ignore the metadata hash', () => {
+      const metadataContract = Object.assign({}, baseContract, { bytecode: `0x6060a165627a7a72305820${Array(65).join('a')}0029` });
+      const stagedContract = Object.assign({}, baseContract, { bytecode: `0x6060a165627a7a72305820${Array(65).join('b')}0029` });
+
+      assert.deepEqual(lib.redeployReasons(metadataContract, stagedContract), ['bytecode']);
+      assert.deepEqual(lib.redeployReasons(metadataContract, stagedContract, null, { ignoreMetadataHash: true }), []);
+    });
+  });
+
+  describe('deploymentReasons', () => {
+    const baseContract = {
+      address: '0x3a70a6765746af3bfa974fff9d753d4b6c56b333',
+      bytecode: '0x6060',
+      inputs: [45],
+      transactionObject: { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', gas: 3000000 },
+    };
+
+    it('should function properly', () => {
+      assert.equal(typeof lib.deploymentReasons, 'function');
+      assert.deepEqual(lib.deploymentReasons(baseContract, baseContract), []);
+    });
+
+    it('should describe the reasons in plain words', () => {
+      const stagedContract = Object.assign({}, baseContract, { bytecode: '0x6061', inputs: [46] });
+
+      assert.deepEqual(lib.deploymentReasons({}, stagedContract), ['new contract']);
+      assert.deepEqual(lib.deploymentReasons(baseContract, stagedContract), ['bytecode changed', 'inputs changed']);
+      assert.deepEqual(lib.deploymentReasons(baseContract, baseContract, null, { force: true }), ['forced']);
+      assert.deepEqual(lib.deploymentReasons(baseContract, Object.assign({}, baseContract, {
+        transactionObject: { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', gas: 3000001 },
+      }), ['gas']), ["'gas' changed"]);
+    });
+  });
+
+  describe('dryRunDeployment', () => {
+    it('should not send the transactions of stand-in instances', (done) => {
+      const provider = mockProvider();
+      const contracts = { SimpleStore: mockContract };
+
+      const deployment = deploy => deploy(contracts.SimpleStore)
+        .then(instance => instance.setOwner('0x3a70a6765746af3bfa974fff9d753d4b6c56b333'));
+
+      lib.dryRunDeployment(deployment, {}, contracts, mockEnvironment(provider), {}, (dryRunError) => {
+        assert.include(dryRunError.message, 'nothing is sent while dry running');
+        assert.equal(provider.sent.length, 0);
+        done();
+      });
+    });
+  });
+
+  describe('standInAddress', () => {
+    it('should derive a stable address from the environment and name', () => {
+      const address = lib.standInAddress('ropsten', 'SimpleStore');
+
+      assert.match(address, /^0x[0-9a-f]{40}$/);
+      assert.equal(address, lib.standInAddress('ropsten', 'SimpleStore'));
+      assert.notEqual(address, lib.standInAddress('mainnet', 'SimpleStore'));
+    });
+  });
+
+  describe('contractIsDeployed', () => {
+    it('should function properly', () => {
+      assert.equal(typeof lib.contractIsDeployed, 'function');
+      assert.equal(lib.contractIsDeployed({ bytecode: '0x6060' }, { bytecode: '0x6060' }), false);
+      assert.equal(lib.contractIsDeployed({ address: '0x3a70a6765746af3bfa974fff9d753d4b6c56b333', bytecode: '0x6060' }, { bytecode: '6060' }), true);
+    });
+  });
+
+  describe('receiptPollingOptions', () => {
+    it('should function properly', () => {
+      assert.equal(typeof lib.receiptPollingOptions, 'function');
+      assert.deepEqual(lib.receiptPollingOptions({}), { interval: 7000, timeout: 8000000, confirmations: 1 });
+      assert.deepEqual(lib.receiptPollingOptions({ receiptPolling: { confirmations: 12 } }), { interval: 7000, timeout: 8000000, confirmations: 12 });
+    });
+  });
+
+  describe('retryOptions', () => {
+    it('should default the retry options', () => {
+      assert.deepEqual(lib.retryOptions({}), { attempts: 3, backoff: 1000, factor: 2 });
+      assert.deepEqual(lib.retryOptions({ retry: { attempts: 1 } }), { attempts: 1, backoff: 1000, factor: 2 });
+    });
+  });
+
+  describe('replacementOptions', () => {
+    it('should default the options, and the ceiling to the maximum gas price', () => {
+      assert.equal(lib.replacementOptions({}), null);
+      assert.deepEqual(lib.replacementOptions({ maxGasPrice: 50000000000, replaceStuck: { blocks: 5 } }), { blocks: 5, multiplier: 1.125, maxGasPrice: 50000000000 });
+    });
+  });
+
+  describe('gasEstimationOptions', () => {
+    it('should function properly', () => {
+      assert.equal(typeof lib.gasEstimationOptions, 'function');
+      assert.equal(lib.gasEstimationOptions({}), null);
+      assert.equal(lib.gasEstimationOptions({ estimateGas: false }), null);
+      assert.deepEqual(lib.gasEstimationOptions({ estimateGas: true }), { multiplier: 1.1, cap: null });
+      assert.deepEqual(lib.gasEstimationOptions({ estimateGas: { cap: 4000000 } }), { multiplier: 1.1, cap: 4000000 });
+    });
+  });
+
+  describe('creationData', () => {
+    it('should function properly', () => {
+      assert.equal(typeof lib.creationData, 'function');
+      assert.equal(lib.creationData([], '0x6060', []), '0x6060');
+      assert.equal(lib.creationData([{ type: 'constructor', inputs: [] }], '0x6060', []), '0x6060');
+    });
+
+    it('should encode constructor inputs', () => {
+      const contractABI = [{ type: 'constructor', inputs: [{ name: 'value', type: 'uint256' }] }];
+
+      assert.equal(lib.creationData(contractABI, '0x6060', [45]), `0x6060${Array(63).join('0')}2d`);
+    });
+  });
+
+  describe('contractIsMissing', () => {
+    const address = '0x3a70a6765746af3bfa974fff9d753d4b6c56b333';
+    const receipt = { blockNumber: '0x01', blockHash: '0xaa' };
+    const mockVap = (code, block) => ({
+      getCode: () => Promise.resolve(code),
+      getBlockByNumber: () => Promise.resolve(block),
+    });
+
+    it('should function properly', () => {
+      assert.equal(typeof lib.contractIsMissing, 'function');
+    });
+
+    it('should detect missing code', () => lib.contractIsMissing(mockVap('0x', null), { address, receipt })
+      .then(missingReason => assert.isOk(missingReason)));
+
+    it('should detect a missing receipt block', () => lib.contractIsMissing(mockVap('0x6060', { hash: '0xbb' }), { address, receipt })
+      .then(missingReason => assert.isOk(missingReason)));
+
+    it('should pass live contracts', () => lib.contractIsMissing(mockVap('0x6060', { hash: '0xAA' }), { address, receipt })
+      .then(missingReason => assert.equal(missingReason, null)));
+
+    it('should pass live contracts without a receipt', () => lib.contractIsMissing(mockVap('0x6060', null), { address })
+      .then(missingReason => assert.equal(missingReason, null)));
+  });
+
+  describe('resolveGasPrice', () => {
+    const mockVap = {
+      gasPrice: () => Promise.resolve('20000000000'),
+      blockNumber: () => Promise.resolve(1),
+      getBlockByNumber: block => Promise.resolve({
+        transactions: block === 1 ? [{ gasPrice: '0x3b9aca00' }, { gasPrice: '0x04a817c800' }] : [{ gasPrice: '0x0ba43b7400' }],
+      }),
+    };
+
+    it('should function properly', () => {
+      assert.equal(typeof lib.resolveGasPrice, 'function');
+    });
+
+    it('should resolve null without a strategy', () => lib.resolveGasPrice(mockVap, {})
+      .then(gasPrice => assert.equal(gasPrice, null)));
+
+    it('should resolve a fixed price', () => lib.resolveGasPrice(mockVap, { gasPriceStrategy: '0x04a817c800' })
+      .then(gasPrice => assert.equal(gasPrice, 20000000000)));
+
+    it('should resolve the node price', () => lib.resolveGasPrice(mockVap, { gasPriceStrategy: 'node' })
+      .then(gasPrice => assert.equal(gasPrice, 20000000000)));
+
+    it('should resolve a percentile of recent blocks', () => lib.resolveGasPrice(mockVap, { gasPriceStrategy: { percentile: 50, blocks: 2 } })
+      .then(gasPrice => assert.equal(gasPrice, 20000000000)));
+
+    it('should resolve a custom method', () => lib.resolveGasPrice(mockVap, { gasPriceStrategy: () => Promise.resolve(3000) })
+      .then(gasPrice => assert.equal(gasPrice, 3000)));
+
+    it('should reject prices above the maximum', () => lib.resolveGasPrice(mockVap, { name: 'ropsten', gasPriceStrategy: 'node', maxGasPrice: 10000000000 })
+      .then(() => assert.fail('should have rejected'), priceError => assert.include(priceError.message, 'exceeds the maximum gas price')));
+  });
+
+  describe('transactionGasPrice', () => {
+    const mockVap = { gasPrice: () => Promise.resolve('20000000000') };
+    const environment = { name: 'ropsten', maxGasPrice: 30000000000 };
+
+    it('should hold an explicit gas price to the maximum', () => lib.transactionGasPrice(mockVap, environment, { gasPrice: 40000000000 }, true, false)
+      .then(() => assert.fail('should have rejected'), priceError => assert.include(priceError.message, 'exceeds the maximum gas price')));
+
+    it('should hold a default tx object gas price to the maximum', () => lib.transactionGasPrice(mockVap, environment, { gasPrice: 40000000000 }, false, false)
+      .then(() => assert.fail('should have rejected'), priceError => assert.include(priceError.message, 'exceeds the maximum gas price')));
+
+    it('should use the tx object gas price, under the maximum', () => lib.transactionGasPrice(mockVap, environment, { gasPrice: 25000000000 }, true, false)
+      .then(gasPrice => assert.equal(gasPrice, null)));
+
+    it('should set the node gas price with a maximum, and no gas price', () => lib.transactionGasPrice(mockVap, environment, {}, false, false)
+      .then(gasPrice => assert.equal(gasPrice, 20000000000)));
+
+    it('should leave the gas price to the node without a maximum', () => lib.transactionGasPrice(mockVap, { name: 'ropsten' }, {}, false, false)
+      .then(gasPrice => assert.equal(gasPrice, null)));
+  });
+
+  describe('pendingDeployment', () => {
+    const address = '0x3a70a6765746af3bfa974fff9d753d4b6c56b333';
+    const pending = {
+      transactionHash: '0xaa',
+      nonce: 4,
+      bytecode: '0x6060',
+      inputs: [45],
+      transactionObject: { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' },
+    };
+    const mockVap = (transaction, receipt) => ({
+      getTransactionByHash: () => Promise.resolve(transaction),
+      getTransactionReceipt: () => Promise.resolve(receipt),
+      blockNumber: () => Promise.resolve(12),
+      getCode: () => Promise.resolve('0x6060'),
+    });
+
+    it('should function properly', () => {
+      assert.equal(typeof lib.pendingDeployment, 'function');
+    });
+
+    it('should resolve null without a pending transaction', () => lib.pendingDeployment(mockVap(null, null), { address })
+      .then(pendingContract => assert.equal(pendingContract, null)));
+
+    it('should resolve null for a dropped transaction', () => lib.pendingDeployment(mockVap(null, null), { pending })
+      .then(pendingContract => assert.equal(pendingContract, null)));
+
+    it('should resolve the mined contract', () => lib.pendingDeployment(mockVap({ gas: 3000000 }, {
+      blockNumber: 10,
+      gasUsed: 21000,
+      contractAddress: address,
+    }), { name: 'SimpleStore', pending }, { interval: 1 })
+      .then((pendingContract) => {
+        assert.equal(pendingContract.address, address);
+        assert.equal(pendingContract.confirmations, 3);
+        assert.deepEqual(pendingContract.inputs, [45]);
+        assert.equal(pendingContract.bytecode, '0x6060');
+        assert.equal(pendingContract.pending, undefined);
+      }));
+
+    it('should resolve the contract mined by a replaced transaction', () => lib.pendingDeployment({
+      getTransactionByHash: () => Promise.resolve({ gas: 3000000 }),
+      getTransactionReceipt: hash => Promise.resolve(hash === '0xa9' ? { blockNumber: 10, gasUsed: 21000, contractAddress: address } : null),
+      blockNumber: () => Promise.resolve(12),
+      getCode: () => Promise.resolve('0x6060'),
+    }, { pending: Object.assign({}, pending, { replacedTransactions: ['0xa9'] }) }, { interval: 1 })
+      .then(pendingContract => assert.equal(pendingContract.receipt.contractAddress, address)));
+
+    it('should resolve null for a failed transaction', () => lib.pendingDeployment(mockVap({ gas: 21000 }, {
+      blockNumber: 10,
+      gasUsed: 21000,
+      contractAddress: address,
+    }), { pending }, { interval: 1 })
+      .then(pendingContract => assert.equal(pendingContract, null)));
+  });
+
+  describe('preflightCheck', () => {
+    const deployments = [
+      { name: 'SimpleStore', action: 'deploy', explicitGas: true, explicitGasPrice: true, transaction: { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', gas: 3000000, gasPrice: 20000000000 } },
+      { name: 'Token', action: 'skip', transaction: { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' } },
+      { name: 'Escrow', action: 'redeploy', transaction: { from: '0x3A70A6765746AF3BFA974FFF9D753D4B6C56B333', gas: 3000000, value: 1000 } },
+    ];
+    const mockVap = balance => ({
+      estimateGas: () => Promise.resolve('0x186a0'),
+      gasPrice: () => Promise.resolve('0x4a817c800'),
+      getBalance: () => Promise.resolve(balance),
+    });
+
+    it('should function properly', () => {
+      assert.equal(typeof lib.preflightCheck, 'function');
+    });
+
+    it('should report the cost per account', () => lib.preflightCheck(mockVap('1000000000000000000'), { name: 'ropsten' }, deployments)
+      .then((report) => {
+        assert.deepEqual(report.map(account => account.account), ['0x7f3e74e3dbb4091973ea1b449692c504c35ef768', '0x3a70a6765746af3bfa974fff9d753d4b6c56b333']);
+        assert.deepEqual(report[0].contracts, ['SimpleStore']);
+        assert.equal(report[0].gas, 3000000);
+        assert.equal(report[0].required, '60000000000000000');
+        assert.equal(report[1].required, '60000000000001000');
+        assert.equal(report[1].shortfall, '0');
+      }));
+
+    it('should estimate the gas when gas estimation is on', () => lib.preflightCheck(mockVap('1000000000000000000'), { name: 'ropsten', estimateGas: true }, deployments)
+      .then(report => assert.equal(report[1].gas, 110000)));
+
+    it('should reject with the shortfall of each account', () => lib.preflightCheck(mockVap('0x2386f26fc10000'), { name: 'ropsten' }, deployments)
+      .then(() => assert.fail('should have rejected'), (preflightError) => {
+        assert.include(preflightError.message, 'nothing was sent');
+        assert.include(preflightError.message, 'short by 50000000000000000 wei');
+        assert.include(preflightError.message, "to deploy 'Escrow'");
+      }));
+
+    it('should send nothing, with instance calls in the deployment module, when aborted', (done) => {
+      const provider = mockProvider({ balance: '0x0' });
+      const environment = mockEnvironment(provider);
+      const contracts = { SimpleStore: mockContract };
+      const instanceCalls = [];
+
+      const deployment = (deploy, c, deploymentDone) => deploy(contracts.SimpleStore)
+        .then(instance => instance.setOwner('0x3a70a6765746af3bfa974fff9d753d4b6c56b333').catch(callError => instanceCalls.push(callError)))
+        .then(() => deploymentDone());
+
+      lib.dryRunDeployment(deployment, {}, contracts, environment, {}, (dryRunError, dryRun) => {
+        lib.preflightCheck(lib.environmentQuery(environment), environment, dryRun.deployments)
+        .then(() => assert.fail('should have rejected'), (preflightError) => {
+          assert.include(preflightError.message, 'nothing was sent');
+          assert.equal(instanceCalls.length, 1);
+          assert.equal(provider.sent.length, 0);
+        })
+        .then(done, done);
+      });
+    });
+  });
+
+  describe('findLibraryAddresses', () => {
+    it('should function properly', () => {
+      assert.equal(typeof lib.findLibraryAddresses, 'function');
+    });
+
+    it('should prefer libraries deployed in this run', () => {
+      const libraries = lib.findLibraryAddresses(['SafeMath', 'contracts/Lib.sol:Lib', 'Missing'], {
+        SafeMath: '0x3a70a6765746af3bfa974fff9d753d4b6c56b333',
+      }, {
+        SafeMath: { address: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' },
+        Lib: { address: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' },
+      });
+
+      assert.deepEqual(libraries, {
+        SafeMath: '0x3a70a6765746af3bfa974fff9d753d4b6c56b333',
+        'contracts/Lib.sol:Lib': '0x7f3e74e3dbb4091973ea1b449692c504c35ef768',
+        Missing: undefined,
+      });
+    });
+  });
+
+  describe('deployOptions', () => {
+    it('should function properly', () => {
+      assert.equal(typeof lib.deployOptions, 'function');
+    });
+
+    it('should normalize contract data and options objects', () => {
+      const Token = { bytecode: '0x...', interface: '[]', name: 'Token' };
+
+      assert.deepEqual(lib.deployOptions(Token), { contract: Token });
+      assert.deepEqual(lib.deployOptions({ contract: Token, alias: 'TokenA' }), { contract: Token, alias: 'TokenA' });
+      assert.deepEqual(lib.deployOptions(undefined), { contract: undefined });
+    });
+  });
+
+  describe('callIsMade', () => {
+    it('should function properly', () => {
+      assert.equal(typeof lib.callIsMade, 'function');
+    });
+
+    it('should only match calls against the same address', () => {
+      const call = { method: 'setOwner', args: ['0x7f3e74e3dbb4091973ea1b449692c504c35ef768'], transactionHash: '0x...' };
+      const baseContract = { address: '0x3a70a6765746af3bfa974fff9d753d4b6c56b333', calls: [call] };
+
+      assert.deepEqual(lib.callIsMade(baseContract, '0x3A70A6765746AF3BFA974FFF9D753D4B6C56B333', { method: 'setOwner', args: call.args }), call);
+      assert.equal(lib.callIsMade(baseContract, '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', { method: 'setOwner', args: call.args }), undefined);
+      assert.equal(lib.callIsMade(baseContract, baseContract.address, { method: 'setOwner', args: [] }), undefined);
+      assert.equal(lib.callIsMade({}, baseContract.address, { method: 'setOwner', args: call.args }), undefined);
+    });
+  });
+
+  describe('buildTransactMethod', () => {
+    const owner = '0x3a70a6765746af3bfa974fff9d753d4b6c56b333';
+    const deployedContracts = () => ({ SimpleStore: Object.assign({ address: '0x00000000000000000000000000000000000000aa' }, mockContract) });
+    const previousCall = { method: 'setOwner', args: [owner], transactionHash: '0x01', receipt: { status: '0x1' } };
+
+    it('should function properly', () => {
+      assert.equal(typeof lib.buildTransactMethod, 'function');
+    });
+
+    it('should send a call and record its receipt', () => {
+      const provider = mockProvider();
+      const reports = [];
+      const transact = lib.buildTransactMethod({}, mockEnvironment(provider), deployedContracts, (name, call) => reports.push([name, call]));
+
+      return transact('SimpleStore', 'setOwner', owner).then((call) => {
+        assert.equal(provider.sent.length, 1);
+        assert.equal(provider.sent[0].to, '0x00000000000000000000000000000000000000aa');
+        assert.equal(call.method, 'setOwner');
+        assert.deepEqual(call.args, [owner]);
+        assert.equal(call.transactionHash, call.receipt.transactionHash);
+        assert.equal(call.receipt.status, '0x1');
+        assert.deepEqual(reports, [['SimpleStore', call]]);
+      });
+    });
+
+    it('should skip a call made against the same address on a rerun', () => {
+      const provider = mockProvider();
+      const reports = [];
+      const baseContracts = { SimpleStore: { address: '0x00000000000000000000000000000000000000AA', calls: [previousCall] } };
+      const transact = lib.buildTransactMethod(baseContracts, mockEnvironment(provider), deployedContracts, (name, call) => reports.push([name, call]));
+
+      return transact('SimpleStore', 'setOwner', owner).then((call) => {
+        assert.equal(provider.sent.length, 0);
+        assert.deepEqual(call, previousCall);
+        assert.deepEqual(reports, [['SimpleStore', previousCall]]);
+      });
+    });
+
+    it('should send a call again when its inputs changed', () => {
+      const provider = mockProvider();
+      const baseContracts = { SimpleStore: { address: '0x00000000000000000000000000000000000000aa', calls: [previousCall] } };
+      const transact = lib.buildTransactMethod(baseContracts, mockEnvironment(provider), deployedContracts, () => {});
+
+      return transact('SimpleStore', 'setOwner', '0x7f3e74e3dbb4091973ea1b449692c504c35ef768').then((call) => {
+        assert.equal(provider.sent.length, 1);
+        assert.deepEqual(call.args, ['0x7f3e74e3dbb4091973ea1b449692c504c35ef768']);
+        assert.notEqual(call.transactionHash, previousCall.transactionHash);
+      });
+    });
+
+    it('should reject a failed call, without recording it', () => {
+      const provider = mockProvider({ fail: () => true });
+      const reports = [];
+      const transact = lib.buildTransactMethod({}, mockEnvironment(provider), deployedContracts, (name, call) => reports.push([name, call]));
+
+      return transact('SimpleStore', 'setOwner', owner)
+      .then(() => assert.fail('should have rejected'), (transactError) => {
+        assert.include(transactError.message, "while transacting with method 'setOwner' of contract 'SimpleStore'");
+        assert.include(transactError.message, 'failed with receipt status 0');
+        assert.equal(provider.sent.length, 1);
+        assert.deepEqual(reports, []);
+      });
+    });
   });
 
   describe('requireLoader', () => {
@@ -35,9 +586,65 @@ describe('lib', () => {
   });
 
   describe('configError', () => {
+    const provider = {};
+    const deployment = () => {};
+
     it('should function properly', () => {
       assert.equal(typeof lib.configError, 'function');
     });
+
+    it('should validate module environments', () => {
+      assert.equal(lib.configError({ entry: [], module: { deployment, environments: [{ name: 'testrpc', provider }, { name: 'ropsten', provider }] } }), null);
+      assert.equal(lib.configError({ entry: [], module: { environments: { ropsten: { provider, deployment } } } }), null);
+      assert.include(lib.configError({ entry: [], module: { environments: { ropsten: { provider } } } }), 'config.module.environments.ropsten.deployment');
+      assert.include(lib.configError({ entry: [], module: { deployment, environments: [{ name: 'ropsten', provider }, { name: 'ropsten', provider }] } }), 'Duplicate environment name');
+      assert.include(lib.configError({ entry: [], module: { deployment, environments: [{ name: 'ropsten' }] } }), 'config.module.environments[0]');
+      assert.include(lib.configError({ entry: [], module: { deployment, environments: [] } }), 'at least one environment');
+      assert.include(lib.configError({ entry: [], module: { deployment, environment: { name: 'ropsten', provider, expectedNetworkId: [3, {}] } } }), 'expectedNetworkId');
+    });
+
+    it('should validate the run options', () => {
+      assert.include(lib.configError({ entry: [], plan: 'yes', module: { deployment, environment: { name: 'ropsten', provider } } }), "'config.plan' must be type Boolean");
+      assert.include(lib.configError({ entry: [], module: { deployment, environment: { name: 'ropsten', provider, preflight: 1 } } }), "'config.module.environment.preflight'");
+      assert.include(lib.configError({ entry: [], module: { deployment: [{ contract: 'Token', inputs: [{ address: 'Token' }] }], environment: { name: 'ropsten', provider } } }), 'Dependency cycle');
+      assert.equal(lib.configError({ entry: [], module: { deployment: [{ contract: 'Token' }], environment: { name: 'ropsten', provider } } }), null);
+      assert.include(lib.configError({ entry: [], module: { deployment, environment: { name: 'ropsten', provider, replaceStuck: { blocks: 5 } } } }), 'No defined gas price ceiling');
+      assert.include(lib.configError({ entry: [], module: { deployment, environment: { name: 'ropsten', provider, retry: 3 } } }), "'config.module.environment.retry'");
+      assert.include(lib.configError({ entry: [], module: { deployment, environment: { name: 'ropsten', provider, namedAccounts: [0] } } }), "'config.module.environment.namedAccounts'");
+      assert.include(lib.configError({ entry: [], module: { deployment, environment: { name: 'ropsten', provider, namedAccounts: { deployer: 'bob' } } } }), 'Invalid named account!');
+      assert.equal(lib.configError({ entry: [], module: { deployment, environment: { name: 'ropsten', provider, namedAccounts: { deployer: 0, admin: '0x00000000000000000000000000000000000000ad' } } } }), null);
+      assert.include(lib.configError({ entry: [], module: { deployment, environment: { name: 'ropsten', provider, retry: { attempts: 0 } } } }), "'config.module.environment.retry.attempts'");
+      assert.include(lib.configError({ entry: [], module: { deployment, environment: { name: 'ropsten', provider, maxGasPrice: 1, replaceStuck: { multiplier: 1 } } } }), "'config.module.environment.replaceStuck.multiplier'");
+      assert.include(lib.configError({ entry: [], module: { deployment, environment: { name: 'ropsten', provider, concurrency: 0.5 } } }), "'config.module.environment.concurrency' must be a whole Number");
+      assert.include(lib.configError({ entry: [], offline: 1, module: { deployment, environment: { name: 'ropsten', provider } } }), "'config.offline' must be type Boolean");
+      assert.include(lib.configError({ entry: [], offline: true, broadcast: {}, module: { deployment, environment: { name: 'ropsten', provider } } }), "can not be used with 'config.offline'");
+    });
+  });
+
+  describe('networkMismatch', () => {
+    it('should function properly', () => {
+      assert.equal(typeof lib.networkMismatch, 'function');
+    });
+
+    it('should detect contracts deployed to another network', () => {
+      const environment = { name: 'ropsten', networkId: '3' };
+
+      assert.equal(lib.networkMismatch({}, environment), null);
+      assert.equal(lib.networkMismatch({ SimpleStore: { networkId: '3' }, Token: {} }, environment), null);
+      assert.include(lib.networkMismatch({ SimpleStore: { networkId: '3' }, Token: { networkId: '1' } }, environment), "'Token'");
+    });
+  });
+
+  describe('moduleEnvironments', () => {
+    it('should function properly', () => {
+      assert.equal(typeof lib.moduleEnvironments, 'function');
+    });
+
+    it('should list the module environments', () => {
+      assert.deepEqual(lib.moduleEnvironments({ environment: { name: 'testrpc' } }), [{ name: 'testrpc' }]);
+      assert.deepEqual(lib.moduleEnvironments({ environments: [{ name: 'testrpc' }, { name: 'ropsten' }] }), [{ name: 'testrpc' }, { name: 'ropsten' }]);
+      assert.deepEqual(lib.moduleEnvironments({ environments: { testrpc: { gas: 1 }, ropsten: {} } }), [{ name: 'testrpc', gas: 1 }, { name: 'ropsten' }]);
+    });
   });
 
   describe('loadEnvironment', () => {
@@ -74,10 +681,479 @@ describe('lib', () => {
     });
   });
 
+  describe('runPluginHook', () => {
+    it('should function properly', () => {
+      assert.equal(typeof lib.runPluginHook, 'function');
+    });
+
+    it('should pass the value through plugins in order', () => lib.runPluginHook([
+      { afterEnvironment: environment => Object.assign({}, environment, { audited: true }) },
+      { process: ({ output }) => output },
+      { afterEnvironment: (environment, context) => Promise.resolve(Object.assign({}, environment, { stage: context.stage })) },
+      { afterEnvironment: () => undefined },
+    ], 'afterEnvironment', { name: 'ropsten' }, { stage: 'environment' })
+      .then(environment => assert.deepEqual(environment, { name: 'ropsten', audited: true, stage: 'environment' })));
+
+    it('should reject when a plugin vetoes', () => lib.runPluginHook([
+      { beforeDeploy: () => { throw new Error('not on mainnet'); } },
+    ], 'beforeDeploy', {}, {})
+      .then(() => assert.fail('should have rejected'), vetoError => assert.equal(vetoError.message, 'not on mainnet')));
+
+    it('should reject unknown hooks', () => lib.runPluginHook([], 'afterCompile', {}, {})
+      .then(() => assert.fail('should have rejected'), hookError => assert.include(hookError.message, 'unknown hook')));
+  });
+
+  describe('sortDeploymentGraph', () => {
+    it('should sort each contract after its references', () => {
+      const sorted = lib.sortDeploymentGraph([
+        { contract: 'Sale', inputs: [{ address: 'Token' }, [{ address: 'Wallet' }]] },
+        { contract: 'Token', inputs: [1000] },
+        { contract: 'Wallet' },
+      ]);
+
+      assert.deepEqual(sorted.order, ['Token', 'Wallet', 'Sale']);
+      assert.deepEqual(sorted.dependencies.Sale, ['Token', 'Wallet']);
+      assert.equal(sorted.cycle, null);
+    });
+  });
+
+  describe('deploymentGraphError', () => {
+    it('should validate the deployment graph', () => {
+      assert.equal(lib.deploymentGraphError([{ contract: 'Token' }, { contract: 'Token', alias: 'TokenB', inputs: [{ address: 'Token' }] }], 'config.module.deployment'), null);
+      assert.include(lib.deploymentGraphError([{ alias: 'Token' }], 'config.module.deployment'), "'config.module.deployment[0].contract' must be type String");
+      assert.include(lib.deploymentGraphError([{ contract: 'Token' }, { contract: 'Token' }], 'config.module.deployment'), 'use an alias');
+      assert.include(lib.deploymentGraphError([{ contract: 'Sale', inputs: [{ address: 'Token' }] }], 'config.module.deployment'), "reference the address of 'Token'");
+    });
+
+    it('should detect cycles', () => {
+      assert.include(lib.deploymentGraphError([
+        { contract: 'Token', inputs: [{ address: 'Sale' }] },
+        { contract: 'Sale', inputs: [{ address: 'Token' }] },
+      ], 'config.module.deployment'), 'has the cycle Token -> Sale -> Token');
+    });
+  });
+
+  describe('graphDeployment', () => {
+    it('should deploy with the referenced addresses, independent contracts in parallel', () => {
+      const deployed = [];
+      const pending = [];
+      const deploy = (options, ...inputs) => new Promise((resolve) => {
+        pending.push(options.alias || options.contract.name);
+        setTimeout(() => {
+          deployed.push({ name: options.alias || options.contract.name, inputs, pending: pending.length });
+          resolve({ address: `0x${options.contract.name}` });
+        }, 1);
+      });
+      const contracts = { Token: { name: 'Token' }, Wallet: { name: 'Wallet' }, Sale: { name: 'Sale' } };
+
+      return lib.graphDeployment([
+        { contract: 'Sale', inputs: [{ address: 'Token' }, [{ address: 'Wallet' }]], transactionObject: { from: 1 } },
+        { contract: 'Token', inputs: [1000] },
+        { contract: 'Wallet' },
+      ])(deploy, contracts).then(() => {
+        assert.deepEqual(deployed.map(deployment => deployment.name), ['Token', 'Wallet', 'Sale']);
+        assert.equal(deployed[0].pending, 2);
+        assert.deepEqual(deployed[2].inputs, ['0xToken', ['0xWallet'], { from: 1 }]);
+      });
+    });
+
+    it('should reject contracts missing from the contracts object', () => lib.graphDeployment([{ contract: 'Token' }])(() => Promise.resolve({}), {})
+      .then(() => assert.fail('should have rejected'), graphError => assert.include(graphError.message, "Contract 'Token' of the deployment graph")));
+  });
+
+  describe('runDeploymentModule', () => {
+    it('should end the run once, with done', (done) => {
+      lib.runDeploymentModule((deploy, contracts, deploymentDone) => {
+        deploymentDone();
+        deploymentDone(new Error('again'));
+      }, [], done);
+    });
+
+    it('should fail the run with done(err) or a thrown error', (done) => {
+      lib.runDeploymentModule((deploy, contracts, deploymentDone) => deploymentDone('went wrong'), [], (doneError) => {
+        assert.include(doneError.message, 'went wrong');
+
+        lib.runDeploymentModule(() => { throw new Error('sync'); }, [], (syncError) => {
+          assert.equal(syncError.message, 'sync');
+          done();
+        });
+      });
+    });
+
+    it('should end the run with a returned promise', (done) => {
+      lib.runDeploymentModule(() => Promise.reject(new Error('async')), [], (asyncError) => {
+        assert.equal(asyncError.message, 'async');
+        done();
+      });
+    });
+
+    it('should wait on done when the module declares it, even if its promise resolves', (done) => {
+      const deployed = [];
+      const deploy = name => new Promise(resolve => setTimeout(() => { deployed.push(name); resolve({ address: '0x01' }); }, 2));
+
+      lib.runDeploymentModule((trackedDeploy, contracts, deploymentDone) => trackedDeploy('A').then((a) => {
+        trackedDeploy('B', a.address).then(() => deploymentDone());
+      }), [deploy], (deployError) => {
+        assert.equal(deployError, null);
+        assert.deepEqual(deployed, ['A', 'B']);
+        done();
+      });
+    });
+
+    it('should fail the run with a deploy rejection left unhandled, without a process listener', (done) => {
+      const listeners = process.listenerCount('unhandledRejection');
+      const deploy = () => Promise.reject(new Error('not deployed'));
+
+      lib.runDeploymentModule((trackedDeploy) => {
+        trackedDeploy();
+        assert.equal(process.listenerCount('unhandledRejection'), listeners);
+      }, [deploy], (deployError) => {
+        assert.equal(deployError.message, 'not deployed');
+        done();
+      });
+    });
+
+    it('should not fail the run with a deploy rejection handled by the module', (done) => {
+      const deploy = name => (name === 'Broken' ? Promise.reject(new Error('not deployed')) : Promise.resolve({ address: '0x01' }));
+
+      lib.runDeploymentModule((trackedDeploy, contracts, deploymentDone) => {
+        trackedDeploy('Broken')
+          .catch(() => Promise.all([trackedDeploy('Other')]))
+          .then(() => deploymentDone());
+      }, [deploy], (deployError) => {
+        assert.equal(deployError, null);
+        done();
+      });
+    });
+  });
+
+  describe('signedDeployment', () => {
+    const signedTransactions = [
+      { name: 'SimpleStore', transaction: { data: '0x6060AB' }, signedTransaction: '0xf86b' },
+      { name: 'Token', transaction: { data: '0x6061' }, signedTransaction: null },
+    ];
+
+    it('should find the signed transaction of the contract', () => {
+      assert.equal(lib.signedDeployment(signedTransactions, 'SimpleStore', { data: '0x6060ab' }, 'ropsten').signedTransaction, '0xf86b');
+    });
+
+    it('should throw when missing, unsigned or not matching', () => {
+      assert.throws(() => lib.signedDeployment(signedTransactions, 'Escrow', { data: '0x6062' }, 'ropsten'), /No signed transaction for contract 'Escrow'/);
+      assert.throws(() => lib.signedDeployment(signedTransactions, 'Token', { data: '0x6061' }, 'ropsten'), /No signed transaction for contract 'Token'/);
+      assert.throws(() => lib.signedDeployment(signedTransactions, 'SimpleStore', { data: '0x6060ac' }, 'ropsten'), /does not match the staged deployment/);
+    });
+  });
+
+  describe('environmentPlan', () => {
+    it('should keep the action, reasons and inputs of each deploy', () => {
+      const plan = lib.environmentPlan({ name: 'ropsten', networkId: '3' }, {
+        deployments: [
+          { name: 'SimpleStore', contractName: 'SimpleStore', action: 'skip', reasons: [], address: '0x3a70a6765746af3bfa974fff9d753d4b6c56b333', inputs: [45], transaction: { data: '0x6060' } },
+          { name: 'Token', contractName: 'Token', action: 'redeploy', reasons: ['inputs changed'], address: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', inputs: [1000] },
+        ],
+        calls: [],
+      });
+
+      assert.equal(plan.networkId, '3');
+      assert.equal(plan.deployments[0].address, '0x3a70a6765746af3bfa974fff9d753d4b6c56b333');
+      assert.equal(plan.deployments[0].transaction, undefined);
+      assert.equal(plan.deployments[1].address, undefined);
+      assert.deepEqual(plan.deployments[1].reasons, ['inputs changed']);
+    });
+  });
+
+  describe('formatPlan', () => {
+    it('should list each deploy and call', () => {
+      const planString = lib.formatPlan({
+        ropsten: {
+          networkId: '3',
+          deployments: [
+            { name: 'SimpleStore', action: 'skip', reasons: [] },
+            { name: 'Token', action: 'deploy', reasons: ['new contract'] },
+          ],
+          calls: [{ name: 'Token', method: 'mint', args: [1000] }],
+        },
+      });
+
+      assert.include(planString, "Plan for environment 'ropsten' (network 3):");
+      assert.include(planString, '= SimpleStore (skip)');
+      assert.include(planString, '+ Token (deploy: new contract)');
+      assert.include(planString, '> Token.mint(1000)');
+      assert.include(planString, '1 to deploy, 0 to redeploy, 1 to skip, 1 call(s).');
+    });
+  });
+
+  describe('buildNonceManager', () => {
+    it('should assign the nonces in order, from the pending nonce', () => {
+      const nonces = lib.buildNonceManager({ getTransactionCount: () => Promise.resolve('0x5') });
+
+      return Promise.all([
+        nonces.next('0x7f3e74e3dbb4091973ea1b449692c504c35ef768'),
+        nonces.next('0x7F3E74E3DBB4091973EA1B449692C504C35EF768'),
+        nonces.next('0x7f3e74e3dbb4091973ea1b449692c504c35ef768'),
+      ]).then(assigned => assert.deepEqual(assigned, [5, 6, 7]));
+    });
+
+    it('should not reuse the nonces of transactions sent outside the manager', () => {
+      let pending = 5;
+      const nonces = lib.buildNonceManager({ getTransactionCount: () => Promise.resolve(pending) });
+      const from = '0x7f3e74e3dbb4091973ea1b449692c504c35ef768';
+
+      return Promise.all([nonces.next(from), nonces.next(from)])
+        .then(() => nonces.release(from, 6))
+        .then(() => { pending = 9; })
+        .then(() => Promise.all([nonces.next(from), nonces.next(from)]))
+        .then(assigned => assert.deepEqual(assigned, [9, 10]));
+    });
+
+    it('should reuse a released nonce first', () => {
+      const nonces = lib.buildNonceManager({ getTransactionCount: () => Promise.resolve(5) });
+      const from = '0x7f3e74e3dbb4091973ea1b449692c504c35ef768';
+
+      return Promise.all([nonces.next(from), nonces.next(from)])
+        .then(() => nonces.release(from, 5))
+        .then(() => Promise.all([nonces.next(from), nonces.next(from)]))
+        .then(assigned => assert.deepEqual(assigned, [5, 7]));
+    });
+
+    it('should fetch the nonce again after a failed lookup', () => {
+      let lookups = 0;
+      const nonces = lib.buildNonceManager({ getTransactionCount: () => {
+        lookups += 1;
+        return lookups === 1 ? Promise.reject(new Error('connection refused')) : Promise.resolve(2);
+      } });
+      const from = '0x7f3e74e3dbb4091973ea1b449692c504c35ef768';
+
+      return nonces.next(from)
+        .then(() => assert.fail('should have rejected'), () => nonces.next(from))
+        .then(nonce => assert.equal(nonce, 2));
+    });
+  });
+
+  describe('concurrencyLimit', () => {
+    it('should run at most the limit of tasks at once', () => {
+      const limit = lib.concurrencyLimit(2);
+      let running = 0;
+      let maxRunning = 0;
+      const task = value => () => new Promise((resolve) => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        setTimeout(() => { running -= 1; resolve(value); }, 2);
+      });
+
+      return Promise.all([1, 2, 3, 4, 5].map(value => limit(task(value))))
+        .then((values) => {
+          assert.deepEqual(values, [1, 2, 3, 4, 5]);
+          assert.equal(maxRunning, 2);
+        });
+    });
+
+    it('should reject with the task, and run the next task', () => {
+      const limit = lib.concurrencyLimit(1);
+
+      return Promise.all([
+        limit(() => { throw new Error('failed'); }).then(() => assert.fail('should have rejected'), taskError => taskError.message),
+        limit(() => Promise.resolve('next')),
+      ]).then(results => assert.deepEqual(results, ['failed', 'next']));
+    });
+  });
+
   describe('buildDeployMethod', () => {
+    // a contract linking against the library 'Lib'
+    const linkedContract = { name: 'LinkedStore', bytecode: `0x6060__Lib${Array(36).join('_')}6060`, interface: '[]' };
+
+    // a contract deployed twice under aliases, with different supplies
+    const tokenContract = {
+      name: 'Token',
+      bytecode: '0x6060',
+      interface: JSON.stringify([{ type: 'constructor', inputs: [{ name: 'supply', type: 'uint256' }] }]),
+    };
+    const deployTokens = (baseContracts, environment, supplies) => {
+      const reports = {};
+      const deploy = lib.buildDeployMethod(baseContracts, environment, (name, contractData, address, inputs, transactionObject, receipt, details) => {
+        reports[name] = Object.assign({ bytecode: contractData.bytecode, interface: contractData.interface, address, inputs, transactionObject }, details);
+      });
+
+      return deploy({ contract: tokenContract, alias: 'TokenA' }, supplies[0], { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' })
+      .then(() => deploy({ contract: tokenContract, alias: 'TokenB' }, supplies[1], { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' }))
+      .then(() => reports);
+    };
+
     it('should function properly', () => {
       assert.equal(typeof lib.buildDeployMethod, 'function');
     });
+
+    it('should not send a deploy with an explicit gas price over the maximum', () => {
+      const provider = mockProvider();
+      const deploy = lib.buildDeployMethod({}, Object.assign(mockEnvironment(provider), { maxGasPrice: 30000000000 }), () => {});
+
+      return deploy(mockContract, { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', gasPrice: 40000000000 })
+      .then(() => assert.fail('should have rejected'), (deployError) => {
+        assert.include(deployError.message, 'exceeds the maximum gas price');
+        assert.equal(provider.sent.length, 0);
+      });
+    });
+
+    it('should link the libraries deployed in this run into the creation data, and record them', () => {
+      const provider = mockProvider();
+      const reports = {};
+      const deploy = lib.buildDeployMethod({}, mockEnvironment(provider), (name, contractData, address, inputs, transactionObject, receipt, details) => {
+        reports[name] = Object.assign({ address }, details);
+      });
+
+      return deploy({ name: 'Lib', bytecode: '0x6060', interface: '[]' }, { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' })
+      .then(() => deploy(linkedContract, { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' }))
+      .then(() => {
+        assert.equal(provider.sent.length, 2);
+        assert.equal(provider.sent[1].data, `0x6060${reports.Lib.address.slice(2)}6060`);
+        assert.deepEqual(reports.LinkedStore.libraries, { Lib: reports.Lib.address });
+      });
+    });
+
+    it('should link the libraries of the base environment', () => {
+      const provider = mockProvider();
+      const baseContracts = { Lib: { address: '0x00000000000000000000000000000000000000aa' } };
+      const deploy = lib.buildDeployMethod(baseContracts, mockEnvironment(provider), () => {});
+
+      return deploy(linkedContract, { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' })
+      .then(() => assert.equal(provider.sent[0].data, '0x606000000000000000000000000000000000000000aa6060'));
+    });
+
+    it('should reject a contract linking against a missing library, without sending it', () => {
+      const provider = mockProvider();
+      const deploy = lib.buildDeployMethod({}, mockEnvironment(provider), () => {});
+
+      return deploy(linkedContract, { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' })
+      .then(() => assert.fail('should have rejected'), (deployError) => {
+        assert.include(deployError.message, "Attempting to deploy contract 'LinkedStore' which links against the libraries 'Lib'");
+        assert.equal(provider.sent.length, 0);
+      });
+    });
+
+    it('should deploy each alias on its own, stored under its alias', () => {
+      const provider = mockProvider();
+
+      return deployTokens({}, mockEnvironment(provider), [1000, 5000]).then((reports) => {
+        assert.equal(provider.sent.length, 2);
+        assert.deepEqual(Object.keys(reports), ['TokenA', 'TokenB']);
+        assert.notEqual(reports.TokenA.address, reports.TokenB.address);
+        assert.equal(reports.TokenA.contractName, 'Token');
+        assert.equal(reports.TokenB.contractName, 'Token');
+        assert.equal(reports.TokenA.inputs[0], 1000);
+        assert.equal(reports.TokenB.inputs[0], 5000);
+      });
+    });
+
+    it('should skip each alias on its own on a rerun', () => {
+      const provider = mockProvider();
+
+      return deployTokens({}, mockEnvironment(provider), [1000, 5000])
+      .then(baseContracts => deployTokens(baseContracts, mockEnvironment(provider), [1000, 6000]).then((reports) => {
+        assert.equal(provider.sent.length, 3);
+        assert.equal(reports.TokenA.address, baseContracts.TokenA.address);
+        assert.notEqual(reports.TokenB.address, baseContracts.TokenB.address);
+        assert.equal(reports.TokenB.inputs[0], 6000);
+      }));
+    });
+
+    it('should report a creation transaction mined but failed as no longer pending', () => {
+      const provider = mockProvider({ fail: () => true });
+      const pendingReports = [];
+      const deploy = lib.buildDeployMethod({}, mockEnvironment(provider), () => {}, { reportPending: (name, pending) => pendingReports.push([name, pending]) });
+
+      return deploy(mockContract, { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' })
+      .then(() => assert.fail('should have rejected'), (deployError) => {
+        assert.include(deployError.message, 'failed with receipt status 0');
+        assert.equal(pendingReports[0][1].transactionHash, '0x0000000000000000000000000000000000000000000000000000000000000001');
+        assert.deepEqual(pendingReports[pendingReports.length - 1], ['SimpleStore', null]);
+      });
+    });
+
+    // the tokens recorded by a previous run, TokenA at an address without code
+    const recordedTokens = () => deployTokens({}, mockEnvironment(mockProvider()), [1000, 5000])
+      .then(baseContracts => Object.assign({}, baseContracts, {
+        TokenA: Object.assign({}, baseContracts.TokenA, { address: '0x00000000000000000000000000000000000000ab' }),
+      }));
+
+    it('should redeploy a recorded contract with no code at its address', () => {
+      const provider = mockProvider({ noCode: ['0x00000000000000000000000000000000000000ab'] });
+
+      return recordedTokens()
+      .then(baseContracts => deployTokens(baseContracts, mockEnvironment(provider), [1000, 5000]).then((reports) => {
+        assert.equal(provider.sent.length, 1);
+        assert.equal(provider.sent[0].data.slice(-3), '3e8');
+        assert.equal(reports.TokenA.address, '0x0000000000000000000000000000000000000001');
+        assert.equal(reports.TokenB.address, baseContracts.TokenB.address);
+      }));
+    });
+
+    it('should reject a recorded contract with no code at its address with the error policy', () => {
+      const provider = mockProvider({ noCode: ['0x00000000000000000000000000000000000000ab'] });
+      const environment = Object.assign(mockEnvironment(provider), { onMissingContract: 'error' });
+
+      return recordedTokens()
+      .then(baseContracts => deployTokens(baseContracts, environment, [1000, 5000]))
+      .then(() => assert.fail('should have rejected'), (deployError) => {
+        assert.include(deployError.message, "Contract 'TokenA' is recorded as deployed in environment 'ropsten', but there is no code at the recorded address");
+        assert.equal(provider.sent.length, 0);
+      });
+    });
+
+    it('should redeploy a recorded contract forced by its deploy options', () => {
+      const provider = mockProvider();
+
+      return deployTokens({}, mockEnvironment(mockProvider()), [1000, 5000]).then((baseContracts) => {
+        const deploy = lib.buildDeployMethod(baseContracts, mockEnvironment(provider), () => {});
+
+        return deploy({ contract: tokenContract, alias: 'TokenA', force: true }, 1000, { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' })
+        .then(() => deploy({ contract: tokenContract, alias: 'TokenB' }, 5000, { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' }));
+      })
+      .then(() => assert.equal(provider.sent.length, 1));
+    });
+
+    it('should only redeploy a recorded contract on the changes of its redeploy criteria', () => {
+      const provider = mockProvider();
+      const changedTxObject = { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', gas: 4000000 };
+
+      return deployTokens({}, mockEnvironment(mockProvider()), [1000, 5000]).then((baseContracts) => {
+        const deploy = lib.buildDeployMethod(baseContracts, mockEnvironment(provider), () => {});
+
+        return deploy({ contract: tokenContract, alias: 'TokenA', redeployOn: ['bytecode', 'inputs'] }, 1000, changedTxObject)
+        .then(() => assert.equal(provider.sent.length, 0))
+        .then(() => deploy({ contract: tokenContract, alias: 'TokenB' }, 5000, changedTxObject))
+        .then(() => assert.equal(provider.sent.length, 1));
+      });
+    });
+
+    it('should not reuse the nonce of a deploy which failed after a retry', () => {
+      const released = [];
+      const nonces = { next: () => Promise.resolve(0), release: (from, nonce) => released.push(nonce) };
+      const environment = Object.assign(mockEnvironment(mockProvider({ sendError: 'connection reset' })), { retry: { attempts: 2, backoff: 1 } });
+      const deploy = lib.buildDeployMethod({}, environment, () => {}, { nonces });
+
+      return deploy(mockContract, { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' })
+      .then(() => assert.fail('should have rejected'), (deployError) => {
+        assert.include(deployError.message, 'failed after 2 attempts');
+        assert.deepEqual(released, []);
+      });
+    });
+
+    it('should not reuse the nonce of an instance call sent outside the nonce manager', () => {
+      const provider = mockProvider();
+      const environment = mockEnvironment(provider);
+      const from = '0x7f3e74e3dbb4091973ea1b449692c504c35ef768';
+      const deploy = lib.buildDeployMethod({}, environment, () => {});
+
+      return deploy(mockContract, { from })
+        .then(instance => instance.setOwner(from, { from }))
+        .then(() => deploy(Object.assign({}, mockContract, { name: 'OtherStore' }), { from }))
+        .then(() => {
+          assert.equal(provider.sent.length, 3);
+          assert.equal(provider.sent[0].nonce, 0);
+          assert.equal(typeof provider.sent[1].nonce, 'undefined');
+          assert.equal(provider.sent[2].nonce, 2);
+        });
+    });
   });
 
   describe('loadContracts', () => {
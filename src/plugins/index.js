@@ -79,7 +79,7 @@ function IncludeContracts(
  * @param {String} output the final build file produced by vapdeploy
  * @return {String} parsedOutput parsed output
  */
-function JSONFilter(contractProperties = ['address', 'interface', 'bytecode', 'transactionObject', 'inputs']) {
+function JSONFilter(contractProperties = ['address', 'interface', 'bytecode', 'transactionObject', 'inputs', 'libraries', 'contractName', 'calls', 'pending', 'networkId', 'replacedTransactions', 'receipt', 'confirmations', 'gasEstimate', 'gasUsed', 'gasPrice', 'bytecodeHash', 'strippedBytecodeHash']) {
   const self = this;
   self.process = ({ output }) => {
     const jsonObject = JSON.parse(output);
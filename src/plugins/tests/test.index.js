@@ -84,6 +84,25 @@ describe('plugins', () => {
       const expected = '{"ropsten":{"SimpleStore":{"bytecode":"0x...","interface":"[{}]","address":"0x3a70a6765746af3bfa974fff9d753d4b6c56b333","inputs":[],"transactionObject":{"from":"0x7f3e74e3dbb4091973ea1b449692c504c35ef768","gas":3000001}}}}';
       assert.deepEqual(result, expected);
     });
+
+    it('should keep the receipt, gas and bytecode hash properties of a deployed contract', () => {
+      const deployedContract = {
+        address: '0x3a70a6765746af3bfa974fff9d753d4b6c56b333',
+        receipt: { transactionHash: '0xaa', blockNumber: '0x0a', gasUsed: '0x5208' },
+        confirmations: 12,
+        gasEstimate: 100000,
+        gasUsed: 21000,
+        gasPrice: '20000000000',
+        bytecodeHash: '0xbb',
+        strippedBytecodeHash: '0xcc',
+        assembly: {},
+      };
+      const result = JSON.parse((new plugins.JSONFilter()).process({ output: JSON.stringify({ ropsten: { SimpleStore: deployedContract } }) }));
+      const expected = Object.assign({}, deployedContract);
+      delete expected.assembly;
+
+      assert.deepEqual(result.ropsten.SimpleStore, expected);
+    });
   });
 });
 
@@ -4,6 +4,9 @@ const BigNumber = require('bignumber.js'); // eslint-disable-line
 const vapdeploy = require('../index.js'); // eslint-disable-line
 const HttpProvider = require('vapjs-provider-http'); // eslint-disable-line
 const TestRPC = require('vaporyjs-testrpc');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('vapdeploy', () => {
   describe('main method', () => {
@@ -19,6 +22,11 @@ describe('vapdeploy', () => {
       });
     });
 
+    it('should return a promise without a callback', () => vapdeploy(undefined)
+      .then(() => assert.fail('should have rejected'), (err) => {
+        assert.isOk(err);
+      }));
+
     it('should handle empty object', (done) => {
       vapdeploy({}, (err, result) => {
         assert.isOk(err);
@@ -114,6 +122,190 @@ describe('vapdeploy', () => {
       });
     });
 
+    it('should handle an async deployment with testrpc', () => vapdeploy({
+      entry: [],
+      output: {},
+      module: {
+        environment: {
+          name: 'localhost',
+          provider: TestRPC.provider(),
+        },
+        deployment: () => Promise.resolve(),
+      },
+    }).then((result) => {
+      assert.isOk(result);
+      assert.deepEqual(JSON.parse(result.output), { localhost: {} });
+    }));
+
+    it('should return a partial result on done(err) with testrpc', (done) => {
+      vapdeploy({
+        entry: [],
+        output: {},
+        module: {
+          environment: {
+            name: 'localhost',
+            provider: TestRPC.provider(),
+          },
+          deployment: (deploy, c, done1) => done1(new Error('deployment failed')),
+        },
+      }, (err, result) => {
+        assert.include(err.message, 'deployment failed');
+        assert.deepEqual(JSON.parse(result.output), { localhost: {} });
+        done();
+      });
+    });
+
+    it('should keep the recorded contracts not reached yet in the partial result with testrpc', (done) => {
+      const recorded = { name: 'Recorded', address: '0x00000000000000000000000000000000000000aa', bytecode: '0x6060', interface: '[]' };
+
+      vapdeploy({
+        entry: [],
+        output: {},
+        plugins: [{ afterPreLoaders: () => ({ localhost: { Recorded: recorded } }) }],
+        module: {
+          environment: {
+            name: 'localhost',
+            provider: TestRPC.provider(),
+            defaultTxObject: { from: 0, gas: 3000000 },
+          },
+          deployment: (deploy, c, done1) => deploy({ name: 'Answer', bytecode: '0x600a600c600039600a6000f3602a60005260206000f3', interface: '[]' })
+            .then(() => done1(new Error('deployment failed'))),
+        },
+      }, (err, result) => {
+        const partialOutput = JSON.parse(result.output);
+
+        assert.include(err.message, 'deployment failed');
+        assert.deepEqual(partialOutput.localhost.Recorded, recorded);
+        assert.equal(typeof partialOutput.localhost.Answer.address, 'string');
+        done();
+      });
+    });
+
+    it('should return the completed environments when a later environment fails to load with testrpc', (done) => {
+      vapdeploy({
+        entry: [],
+        output: {},
+        module: {
+          environments: [
+            { name: 'localhost', provider: TestRPC.provider() },
+            { name: 'unreachable', provider: { sendAsync: (payload, callback) => callback(new Error('connection refused')) }, retry: { attempts: 1 } },
+          ],
+          deployment: (deploy, c, done1) => done1(),
+        },
+      }, (err, result) => {
+        assert.include(err.message, 'unreachable');
+        assert.deepEqual(JSON.parse(result.output), { localhost: {} });
+        done();
+      });
+    });
+
+    it('should back up the output file once when checkpointing a safe output with testrpc', () => {
+      const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'vapdeploy-'));
+
+      fs.writeFileSync(path.join(outputPath, 'environments.json'), '{"previous":{}}');
+
+      return vapdeploy({
+        entry: [],
+        output: { path: outputPath, filename: 'environments.json', safe: true, checkpoint: true },
+        module: {
+          environment: {
+            name: 'localhost',
+            provider: TestRPC.provider(),
+            defaultTxObject: { from: 0, gas: 3000000 },
+          },
+          deployment: deploy => deploy({ name: 'Answer', bytecode: '0x600a600c600039600a6000f3602a60005260206000f3', interface: '[]' })
+            .then(() => deploy({ name: 'OtherAnswer', bytecode: '0x600a600c600039600a6000f3602a60005260206000f3', interface: '[]' })),
+        },
+      }).then((result) => {
+        const backups = fs.readdirSync(outputPath).filter(fileName => fileName.indexOf('environments.json_backup_') === 0);
+
+        assert.equal(result.checkpointed, true);
+        assert.equal(backups.length, 1);
+        assert.equal(fs.readFileSync(path.join(outputPath, backups[0]), 'utf8'), '{"previous":{}}');
+        assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(path.join(outputPath, 'environments.json'), 'utf8')).localhost), ['Answer', 'OtherAnswer']);
+      });
+    });
+
+    it('should write a pending transaction to the output file without checkpoints with testrpc', (done) => {
+      const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'vapdeploy-'));
+
+      vapdeploy({
+        entry: [],
+        output: { path: outputPath, filename: 'environments.json' },
+        module: {
+          environment: {
+            name: 'localhost',
+            provider: TestRPC.provider(),
+            defaultTxObject: { from: 0, gas: 3000000 },
+          },
+          deployment: (deploy, c, done1) => deploy({ name: 'Answer', bytecode: '0x600a600c600039600a6000f3602a60005260206000f3', interface: '[]' })
+            .then(() => done1(new Error('deployment failed'))),
+        },
+      }, (err) => {
+        const written = JSON.parse(fs.readFileSync(path.join(outputPath, 'environments.json'), 'utf8'));
+
+        assert.include(err.message, 'deployment failed');
+        assert.equal(typeof written.localhost.Answer.pending.transactionHash, 'string');
+        done();
+      });
+    });
+
+    it('should keep the recorded contracts not reached yet in the checkpoints with testrpc', () => {
+      const checkpoints = [];
+      const recorded = { name: 'Recorded', address: '0x00000000000000000000000000000000000000aa', bytecode: '0x6060', interface: '[]' };
+
+      return vapdeploy({
+        entry: [],
+        output: { checkpoint: (outputString, callback) => { checkpoints.push(JSON.parse(outputString)); callback(null); } },
+        plugins: [{ afterPreLoaders: () => ({ localhost: { Recorded: recorded } }) }],
+        module: {
+          environment: {
+            name: 'localhost',
+            provider: TestRPC.provider(),
+            defaultTxObject: { from: 0, gas: 3000000 },
+          },
+          deployment: deploy => deploy({ name: 'Answer', bytecode: '0x600a600c600039600a6000f3602a60005260206000f3', interface: '[]' }),
+        },
+      }).then(() => {
+        assert.isAbove(checkpoints.length, 0);
+        checkpoints.forEach(checkpoint => assert.deepEqual(checkpoint.localhost.Recorded, recorded));
+        assert.equal(typeof checkpoints[checkpoints.length - 1].localhost.Answer.address, 'string');
+      });
+    });
+
+    it('should return the plan in plan mode with testrpc', () => vapdeploy({
+      entry: [],
+      output: {},
+      plan: true,
+      module: {
+        environment: {
+          name: 'localhost',
+          provider: TestRPC.provider(),
+        },
+        deployment: (deploy, c, done1, environment, transact) => transact('SimpleStore', 'set', 45).then(() => done1()),
+      },
+    }).then((result) => {
+      assert.equal(result.output, undefined);
+      assert.deepEqual(result.plan.localhost.deployments, []);
+      assert.deepEqual(result.plan.localhost.calls, [{ name: 'SimpleStore', method: 'set', args: [45] }]);
+    }));
+
+    it('should return the unsigned transactions in offline mode with testrpc', () => vapdeploy({
+      entry: [],
+      output: {},
+      offline: true,
+      module: {
+        environment: {
+          name: 'localhost',
+          provider: TestRPC.provider(),
+        },
+        deployment: (deploy, c, done1) => done1(),
+      },
+    }).then((result) => {
+      assert.equal(result.output, undefined);
+      assert.deepEqual(result.unsigned.localhost.transactions, []);
+    }));
+
     it('should handle normal entry with testrpc', (done) => {
       vapdeploy({
         entry: {
@@ -2,6 +2,8 @@ const dir = require('node-dir');
 const fs = require('fs');
 const path = require('path');
 const vapUtil = require('vapjs-util');
+const keccak256 = require('vapjs-sha3').keccak256;
+const rlp = require('rlp');
 
 /**
  * Returns the ISO current date time.
@@ -70,6 +72,75 @@ function bnToString(objInput, baseInput, hexPrefixed) {
   return obj;
 }
 
+/**
+ * Find all library link placeholders (i.e. `__SafeMath______...`) in contract bytecode.
+ *
+ * @method linkReferences
+ * @param {String} bytecode the unlinked contract bytecode
+ * @return {Array} libraryNames the unique library names referenced in the bytecode
+ */
+function linkReferences(bytecode) {
+  const libraryNames = [];
+  const code = String(bytecode || '');
+  let index = code.indexOf('__');
+
+  while (index !== -1) {
+    // placeholders are always 40 chars, the library name padded with underscores
+    const libraryName = code.substr(index, 40).replace(/^__/, '').replace(/_+$/, '');
+
+    if (libraryNames.indexOf(libraryName) === -1) {
+      libraryNames.push(libraryName);
+    }
+
+    index = code.indexOf('__', index + 40);
+  }
+
+  return libraryNames;
+}
+
+/**
+ * Replace library link placeholders in contract bytecode with library addresses.
+ *
+ * @method linkBytecode
+ * @param {String} bytecode the unlinked contract bytecode
+ * @param {Object} libraries the library addresses, keyed by placeholder library name
+ * @return {String} linkedBytecode the linked contract bytecode
+ */
+function linkBytecode(bytecode, libraries) {
+  let linkedBytecode = String(bytecode || '');
+
+  Object.keys(libraries || {}).forEach((libraryName) => {
+    const placeholder = `__${libraryName}${Array(39 - libraryName.length).join('_')}`.substr(0, 40);
+    const libraryAddress = String(libraries[libraryName]).replace(/^0x/, '').toLowerCase();
+
+    linkedBytecode = linkedBytecode.split(placeholder).join(libraryAddress);
+  });
+
+  return linkedBytecode;
+}
+
+/**
+ * Strip the solidity swarm metadata hash sections (i.e. `a165627a7a72305820...0029`) from bytecode.
+ *
+ * @method stripMetadataHash
+ * @param {String} bytecode the contract bytecode
+ * @return {String} strippedBytecode the bytecode without metadata hash sections
+ */
+function stripMetadataHash(bytecode) {
+  return String(bytecode || '').replace(/a165627a7a72305820[0-9a-f]{64}0029/gi, '');
+}
+
+/**
+ * The keccak256 hash of hex bytecode.
+ *
+ * @method bytecodeHash
+ * @param {String} bytecode the hex contract bytecode
+ * @return {String} hash the hex prefixed keccak256 hash
+ */
+function bytecodeHash(bytecode) {
+  return `0x${keccak256(Buffer.from(String(bytecode || '').replace(/^0x/, ''), 'hex'))}`;
+}
+
 /**
  * Filters a given sourcemap by specific test regex's.
  *
@@ -123,71 +194,387 @@ function filterSourceMap(testRegex, includeRegex, sourceMap, excludeRegex) {
 
 
 /**
- * This will wait for a transaction to present a receipt
+ * Converts a BN, BigNumber, hex string or number string to a Number.
+ *
+ * @method toNumber
+ * @param {Optional} value the number value
+ * @return {Number} output the number
+ */
+function toNumber(value) {
+  if (typeof value === 'number') { return value; }
+  if (typeof value === 'object' && value !== null) { return parseInt(value.toString(10), 10); }
+  if (String(value).substr(0, 2) === '0x') { return parseInt(value, 16); }
+
+  return parseInt(value, 10);
+}
+
+/**
+ * This will wait for a transaction to present a receipt, and the required block confirmations
  *
  * @method getTransactionSuccess
  * @param {Object} vap the vap query instance
  * @param {Object} txHash the transaction hash
- * @param {Object} timeout settings
+ * @param {Object|Number} optionsInput polling settings (interval, timeout, confirmations) or timeout
  * @param {Function} callback the final callback
- * @callback {Object} contractInstance the deployed contract instance with receipt prop
+ * @callback {Object} receipt the transaction receipt, and the achieved confirmations count
  */
-function getTransactionSuccess(vap, txHash, timeout = 800000, callback) {
+function getTransactionSuccess(vap, txHash, optionsInput, callback) {
   const cb = callback || function cb() {};
-  let count = 0;
-  return new Promise((resolve, reject) => {
-    const txInterval = setInterval(() => {
-      vap.getTransactionReceipt(txHash, (err, result) => {
-        if (err) {
-          clearInterval(txInterval);
-          cb(err, null);
-          reject(err);
-        }
+  const options = Object.assign({ interval: 7000, timeout: 800000, confirmations: 1 },
+    (typeof optionsInput === 'object' ? optionsInput : { timeout: optionsInput || 800000 }));
+  const startTime = Date.now();
+
+  const confirmedReceipt = new Promise((resolve, reject) => {
+    const poll = () => {
+      vap.getTransactionReceipt(txHash)
+      .then((receipt) => {
+        if (!receipt) { return null; }
 
-        if (!err && result) {
-          clearInterval(txInterval);
-          cb(null, result);
+        // the receipt block counts as the first confirmation
+        return vap.blockNumber().then(blockNumber => ({
+          receipt,
+          confirmations: toNumber(blockNumber) - toNumber(receipt.blockNumber) + 1,
+        }));
+      })
+      .then((result) => {
+        if (result && result.confirmations >= options.confirmations) {
           resolve(result);
+        } else if ((Date.now() - startTime) >= options.timeout) {
+          reject(`Receipt timeout waiting for tx hash: ${txHash}`);
+        } else {
+          setTimeout(poll, options.interval);
         }
-      });
+      })
+      .catch(reject);
+    };
+
+    poll();
+  });
 
-      if (count >= timeout) {
-        clearInterval(txInterval);
-        const errMessage = `Receipt timeout waiting for tx hash: ${txHash}`;
-        cb(errMessage, null);
-        reject(errMessage);
+  confirmedReceipt.then(result => cb(null, result.receipt, result.confirmations), err => cb(err, null));
+
+  return confirmedReceipt.then(result => result.receipt);
+}
+
+/**
+ * Determine if a mined transaction failed, by the receipt status (where the node provides it),
+ * else by the gas used (all gas used means the transaction threw) and, for contract creations,
+ * by the code at the new contract address.
+ *
+ * @method transactionFailure
+ * @param {Object} vap the vap query instance
+ * @param {String} txHash the transaction hash
+ * @param {Object} receipt the transaction receipt
+ * @return {Promise} failureReason resolves the reason the transaction failed, or null
+ */
+function transactionFailure(vap, txHash, receipt) {
+  const hasStatus = typeof receipt.status !== 'undefined' && receipt.status !== null;
+
+  if (hasStatus && toNumber(receipt.status) === 0) {
+    return Promise.resolve('failed with receipt status 0');
+  }
+
+  // a successful transaction may use exactly its gas limit, the gas used is only telling without a status
+  const gasFailure = hasStatus ? Promise.resolve(null) : vap.getTransactionByHash(txHash).then((transaction) => {
+    if (transaction && toNumber(transaction.gas) === toNumber(receipt.gasUsed)) {
+      return `used all of its gas (${toNumber(receipt.gasUsed)}), the transaction threw or ran out of gas`;
+    }
+
+    return null;
+  });
+
+  return gasFailure.then((failureReason) => {
+    if (failureReason !== null || !receipt.contractAddress) { return failureReason; }
+
+    return vap.getCode(receipt.contractAddress, 'latest').then((code) => {
+      if (String(code || '').replace(/^0x/, '').replace(/^0+$/, '') === '') {
+        return `left no code at the contract address ${receipt.contractAddress}`;
       }
-      count += 7000;
-    }, 7000);
+
+      return null;
+    });
   });
 }
 
 /**
- * Deploy the contract with vap, factory, and args
+ * Wait for a contract creation transaction to be mined and confirmed, then check it did not fail
  *
- * @method deployContract
+ * @method waitForContract
  * @param {Object} vap the vap query instance
  * @param {Object} factory the contract factory
- * @param {Array} args the contract constructor arguments
+ * @param {String} txHash the contract creation transaction hash
+ * @param {Object} pollingOptions the receipt polling options (interval, timeout, confirmations)
  * @param {Function} callback the final callback
- * @callback {Object} contractInstance the deployed contract instance with receipt prop
+ * @callback {Object} contractInstance the deployed contract instance with receipt prop, and details, a failed transaction errors with `mined` set
  */
-function deployContract(vap, factory, args, callback) {
-  factory.new.apply(factory, args).then((txHash) => {
-    getTransactionSuccess(vap, txHash, 8000000, (receiptError, receipt) => {
-      if (receiptError) {
-        callback(receiptError, null);
-      }
+function waitForContract(vap, factory, txHash, pollingOptions, callback) {
+  getTransactionSuccess(vap, txHash, pollingOptions, (receiptError, receipt, confirmations) => {
+    if (receiptError) {
+      callback(receiptError, null);
+    }
+
+    if (receipt) {
+      transactionFailure(vap, txHash, receipt).then((failureReason) => {
+        if (failureReason !== null) {
+          const failureError = error(`transaction ${txHash} ${failureReason}`);
+
+          // the transaction was mined, it is no longer pending
+          failureError.mined = true;
+
+          return callback(failureError, null);
+        }
 
-      if (receipt) {
         const contractInstance = factory.at(receipt.contractAddress);
         contractInstance.receipt = receipt;
-        callback(null, contractInstance);
-      }
-    });
+        return callback(null, contractInstance, { confirmations });
+      }).catch(callback);
+    }
+  }).catch(() => {}); // error handled in callback
+}
+
+/**
+ * Wait for one of the transactions sent with the same nonce to be mined. If none is mined within
+ * `replace.blocks` blocks of the last send, the transaction is sent again with the same nonce and
+ * the gas price bumped by `replace.multiplier`, up to `replace.maxGasPrice`.
+ *
+ * @method waitForReplacement
+ * @param {Object} vap the vap query instance
+ * @param {Object} transaction the sent transaction, with nonce and gas price
+ * @param {String} txHash the hash of the first transaction sent
+ * @param {Object} pollingOptions the receipt polling options (interval, timeout), and `replace` (blocks, multiplier, maxGasPrice)
+ * @param {Function} callback the final callback
+ * @param {Function} onReplacement optional, called with the replacement hash and all the hashes sent
+ * @callback {String} minedHash the hash of the transaction mined, all the hashes sent, and their gas prices
+ */
+function waitForReplacement(vap, transaction, txHash, pollingOptions, callback, onReplacement) {
+  const options = Object.assign({ interval: 7000, timeout: 800000 }, pollingOptions);
+  const replace = options.replace;
+  const startTime = Date.now();
+  const hashes = [txHash];
+  const gasPrices = [toNumber(transaction.gasPrice)];
+  let gasPrice = gasPrices[0];
+  let sentBlock = null;
+
+  const poll = () => {
+    Promise.all([Promise.all(hashes.map(hash => vap.getTransactionReceipt(hash))), vap.blockNumber()])
+    .then((results) => {
+      const minedHashes = hashes.filter((hash, index) => results[0][index]);
+      const blockNumber = toNumber(results[1]);
+      const replacementGasPrice = Math.min(Math.ceil(gasPrice * replace.multiplier), toNumber(replace.maxGasPrice));
+      sentBlock = (sentBlock === null ? blockNumber : sentBlock);
+
+      if (minedHashes.length > 0) { return callback(null, minedHashes[0], hashes, gasPrices); }
+      if ((Date.now() - startTime) >= options.timeout) { return callback(`Receipt timeout waiting for tx hashes: ${hashes.join(', ')}`, null, hashes); }
+      if ((blockNumber - sentBlock) < replace.blocks || replacementGasPrice <= gasPrice) { return setTimeout(poll, options.interval); }
+
+      // the replacement may be refused (i.e. a transaction was mined meanwhile), keep watching the hashes sent
+      return vap.sendTransaction(Object.assign({}, transaction, { gasPrice: replacementGasPrice }))
+      .then((replacementHash) => {
+        hashes.push(replacementHash);
+        gasPrices.push(replacementGasPrice);
+        gasPrice = replacementGasPrice;
+        log(`Transaction ${hashes[hashes.length - 2]} not mined within ${replace.blocks} blocks, replaced by ${replacementHash} with gas price ${replacementGasPrice}.`);
+
+        if (typeof onReplacement === 'function') { onReplacement(replacementHash, hashes.slice()); }
+      }, () => {})
+      .then(() => {
+        sentBlock = blockNumber;
+        setTimeout(poll, options.interval);
+      });
+    })
+    .catch(pollError => callback(pollError, null, hashes));
+  };
+
+  poll();
+}
+
+/**
+ * Deploy the contract with vap, factory, and the creation transaction
+ *
+ * @method deployContract
+ * @param {Object} vap the vap query instance
+ * @param {Object} factory the contract factory
+ * @param {Object} transaction the contract creation transaction (with data)
+ * @param {Object} pollingOptions the receipt polling options (interval, timeout, confirmations), and `replace` to replace stuck transactions
+ * @param {Function} callback the final callback
+ * @param {Function} onTransactionHash optional, called with the transaction hash (and all the hashes sent) once sent
+ * @callback {Object} contractInstance the deployed contract instance with receipt prop, and details
+ */
+function deployContract(vap, factory, transaction, pollingOptions, callback, onTransactionHash) {
+  vap.sendTransaction(transaction).then((txHash) => {
+    if (typeof onTransactionHash === 'function') { onTransactionHash(txHash, [txHash]); }
+
+    if (!(pollingOptions || {}).replace) { return waitForContract(vap, factory, txHash, pollingOptions, callback); }
+
+    // a stuck transaction is replaced, the contract is created by the transaction mined
+    return waitForReplacement(vap, transaction, txHash, pollingOptions, (replaceError, minedHash, hashes, gasPrices) => {
+      if (replaceError) { return callback(replaceError, null); }
+
+      return waitForContract(vap, factory, minedHash, pollingOptions, (contractError, contractInstance, details) => {
+        const replacedTransactions = hashes.filter(hash => hash !== minedHash);
+
+        callback(contractError, contractInstance, (details && replacedTransactions.length > 0) ? Object.assign({}, details, {
+          gasPrice: gasPrices[hashes.indexOf(minedHash)],
+          replacedTransactions,
+        }) : details);
+      });
+    }, onTransactionHash);
+  }).catch(callback);
+}
+
+/**
+ * Broadcast a signed contract creation transaction, then wait for the contract like `deployContract`
+ *
+ * @method broadcastContract
+ * @param {Object} vap the vap query instance
+ * @param {Object} factory the contract factory
+ * @param {String} signedTransaction the signed raw transaction, hex prefixed
+ * @param {Object} pollingOptions the receipt polling options (interval, timeout, confirmations)
+ * @param {Function} callback the final callback
+ * @param {Function} onTransactionHash optional, called with the transaction hash once sent
+ * @callback {Object} contractInstance the deployed contract instance with receipt prop, and details
+ */
+function broadcastContract(vap, factory, signedTransaction, pollingOptions, callback, onTransactionHash) {
+  vap.sendRawTransaction(signedTransaction).then((txHash) => {
+    if (typeof onTransactionHash === 'function') { onTransactionHash(txHash); }
+
+    waitForContract(vap, factory, txHash, pollingOptions, callback);
   }).catch(callback);
 }
 
+/**
+ * The address of the contract created by an account at a nonce (the last 20 bytes of keccak256(rlp([from, nonce])))
+ *
+ * @method contractAddress
+ * @param {String} from the sending account address, hex prefixed
+ * @param {Number} nonce the nonce of the creation transaction
+ * @return {String} address the contract address, hex prefixed
+ */
+function contractAddress(from, nonce) {
+  return `0x${keccak256(rlp.encode([Buffer.from(String(from).replace(/^0x/, ''), 'hex'), toNumber(nonce)])).slice(-40)}`;
+}
+
+// the provider read methods, retried on errors as they have no side effects
+const retriedReadMethods = ['net_version', 'accounts', 'blockNumber', 'gasPrice', 'getBalance', 'getCode',
+  'getTransactionCount', 'getTransactionByHash', 'getTransactionReceipt', 'getBlockByNumber', 'estimateGas', 'call'];
+
+/**
+ * Call a provider method, and call it again on errors, after a backoff delay multiplied by
+ * `factor` on each attempt, until `attempts` calls were made.
+ *
+ * @method retryCall
+ * @param {String} methodName the provider method name, for the retry log
+ * @param {Function} call the method call, returns a promise
+ * @param {Object} optionsInput the retry options (attempts, backoff in ms, factor)
+ * @param {Function} retryable optional, tells if an error may be retried
+ * @return {Promise} result resolves the result of the first successful call
+ */
+function retryCall(methodName, call, optionsInput, retryable) {
+  const options = Object.assign({ attempts: 3, backoff: 1000, factor: 2 }, optionsInput);
+
+  const attempt = (attemptNumber, delay) => call().catch((callError) => {
+    if (attemptNumber >= options.attempts || (typeof retryable === 'function' && !retryable(callError))) { throw callError; }
+
+    log(`Provider method '${methodName}' failed (attempt ${attemptNumber} of ${options.attempts}), retrying in ${delay} ms: ${callError}`);
+
+    return new Promise(resolve => setTimeout(resolve, delay)).then(() => attempt(attemptNumber + 1, delay * options.factor));
+  });
+
+  return attempt(1, options.backoff);
+}
+
+/**
+ * Wrap a vap query instance, so its read methods (and the receipt polling using them) are
+ * retried on errors. A sent transaction is only retried with a fixed nonce (or signed), so a
+ * resend can not create a second contract, and a resend refused as already known is not resent.
+ * A retried transaction which still fails rejects with a `mayBeSent` error, its nonce may be used.
+ *
+ * @method retryQuery
+ * @param {Object} vap the vap query instance
+ * @param {Object} options the retry options (attempts, backoff in ms, factor)
+ * @return {Object} query the vap query instance, with retried methods
+ */
+function retryQuery(vap, options) {
+  const query = Object.create(vap);
+  const alreadySent = sendError => /known transaction|already known|nonce too low/i.test(String((sendError && sendError.message) || sendError));
+  const withCallback = call => (...args) => {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const result = call(args);
+
+    if (callback === null) { return result; }
+
+    result.then(value => callback(null, value), callError => callback(callError, null));
+
+    return undefined;
+  };
+
+  retriedReadMethods.filter(methodName => typeof vap[methodName] === 'function').forEach((methodName) => {
+    query[methodName] = withCallback(args => retryCall(methodName, () => vap[methodName](...args), options));
+  });
+
+  query.sendTransaction = withCallback((args) => {
+    const transaction = args[0] || {};
+    let attempts = 0;
+
+    // without a fixed nonce, a resend of a transaction which reached the node would be sent again
+    if (typeof transaction.nonce === 'undefined' || transaction.nonce === null) { return vap.sendTransaction(...args); }
+
+    return retryCall('sendTransaction', () => { attempts += 1; return vap.sendTransaction(...args); }, options, sendError => !alreadySent(sendError))
+    .catch((sendError) => {
+      if (attempts === 1) { throw sendError; }
+
+      // a failed attempt may have reached the node, so its nonce must not be reused
+      const retriedError = alreadySent(sendError)
+        ? error(`the transaction with nonce ${toNumber(transaction.nonce)} from ${transaction.from} was sent by an attempt which failed, its transaction hash is unknown (${sendError}). Please look up the account transactions before running again.`)
+        : error(`the transaction with nonce ${toNumber(transaction.nonce)} from ${transaction.from} failed after ${attempts} attempts, one of which may have been sent (${sendError}). Please look up the account transactions before running again.`);
+
+      retriedError.mayBeSent = true;
+
+      throw retriedError;
+    });
+  });
+
+  query.sendRawTransaction = withCallback((args) => {
+    let attempts = 0;
+
+    // a signed transaction has the same hash when resent
+    return retryCall('sendRawTransaction', () => { attempts += 1; return vap.sendRawTransaction(...args); }, options, sendError => !alreadySent(sendError))
+    .catch((sendError) => {
+      if (attempts > 1 && alreadySent(sendError)) { return `0x${keccak256(Buffer.from(String(args[0]).replace(/^0x/, ''), 'hex'))}`; }
+
+      throw sendError;
+    });
+  });
+
+  return query;
+}
+
+/**
+ * Wrap a vap query instance so it can not send transactions: `sendTransaction` and
+ * `sendRawTransaction` reject (or call back) with an error, the read methods are left as is.
+ *
+ * @method readOnlyQuery
+ * @param {Object} vap the vap query instance
+ * @param {String} reason the reason nothing may be sent, for the error message
+ * @return {Object} query the vap query instance, refusing to send
+ */
+function readOnlyQuery(vap, reason) {
+  const query = Object.create(vap);
+  const refuseSend = methodName => (...args) => {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const sendError = error(`the transaction was not sent with '${methodName}', ${reason}`);
+
+    if (callback === null) { return Promise.reject(sendError); }
+
+    return callback(sendError, null);
+  };
+
+  query.sendTransaction = refuseSend('sendTransaction');
+  query.sendRawTransaction = refuseSend('sendRawTransaction');
+
+  return query;
+}
+
 /**
  * Get all input source for a specific pathname, used for mapping config entry
  *
@@ -248,13 +635,60 @@ function getInputSources(pathname, callback) {
   }
 }
 
+/**
+ * Write the output string to the output file, specified by the config output path and filename.
+ * If `backup` is set, an existing output file is first copied to a timestamped backup file.
+ *
+ * @method writeOutputFile
+ * @param {Object} outputConfig the config output object (i.e. `{ path: './', filename: 'environments.json' }`)
+ * @param {String} outputString the output string to write
+ * @param {Boolean} backup copy an existing output file to a backup file before writing
+ * @param {Function} callback the final callback
+ * @callback {String} outputFile the path of the written output file
+ */
+function writeOutputFile(outputConfig, outputString, backup, callback) {
+  const outputFile = path.resolve(outputConfig.path || './', outputConfig.filename);
+  const writeMethod = () => fs.writeFile(outputFile, outputString, (writeFileError) => {
+    if (writeFileError) { return callback(error(`while writting output file to ${outputFile}: ${writeFileError}`)); }
+
+    return callback(null, outputFile);
+  });
+
+  if (!backup || !fs.existsSync(outputFile)) { return writeMethod(); }
+
+  return fs.readFile(outputFile, (readFileError, fileData) => {
+    if (readFileError) { return callback(error(`while reading output file ${outputFile} for backup: ${readFileError}`)); }
+
+    return fs.writeFile(`${outputFile}_backup_${isoTime()}`, fileData, (backupError) => {
+      if (backupError) { return callback(error(`while writting safe output backup file: ${backupError}`)); }
+
+      return writeMethod();
+    });
+  });
+}
+
 // the base utilty methods for vapdeploy
 module.exports = {
   isoTime,
   error,
   log,
+  toNumber,
+  getTransactionSuccess,
+  transactionFailure,
+  waitForContract,
+  waitForReplacement,
   deployContract,
+  broadcastContract,
+  contractAddress,
+  retryCall,
+  retryQuery,
+  readOnlyQuery,
   filterSourceMap,
   getInputSources,
+  writeOutputFile,
   bnToString,
+  linkReferences,
+  linkBytecode,
+  stripMetadataHash,
+  bytecodeHash,
 };
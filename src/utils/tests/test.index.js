@@ -1,7 +1,11 @@
 const utils = require('../index.js');
 const assert = require('chai').assert;
 const BN = require('bn.js');
+const keccak256 = require('vapjs-sha3').keccak256;
 const BigNumber = require('bignumber.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('utils', () => {
   describe('isoTime', () => {
@@ -18,12 +22,299 @@ describe('utils', () => {
     });
   });
 
+  describe('toNumber', () => {
+    it('should function properly', () => {
+      assert.equal(typeof utils.toNumber, 'function');
+      assert.equal(utils.toNumber(45), 45);
+      assert.equal(utils.toNumber('45'), 45);
+      assert.equal(utils.toNumber('0x2d'), 45);
+      assert.equal(utils.toNumber(new BN(45)), 45);
+      assert.equal(utils.toNumber(new BigNumber(45)), 45);
+    });
+  });
+
+  describe('getTransactionSuccess', () => {
+    const mockVap = (receipts, blockNumber) => ({
+      getTransactionReceipt: () => Promise.resolve(receipts.shift() || null),
+      blockNumber: () => Promise.resolve(new BN(blockNumber)),
+    });
+
+    it('should function properly', () => {
+      assert.equal(typeof utils.getTransactionSuccess, 'function');
+    });
+
+    it('should wait for a receipt', (done) => {
+      const receipt = { blockNumber: new BN(10) };
+
+      utils.getTransactionSuccess(mockVap([null, null, receipt], 11), '0x..', { interval: 1 }, (err, result, confirmations) => {
+        assert.equal(err, null);
+        assert.equal(result, receipt);
+        assert.equal(confirmations, 2);
+        done();
+      });
+    });
+
+    it('should wait for confirmations', () => {
+      const receipt = { blockNumber: '0x0a' };
+      let block = 10;
+      const vap = {
+        getTransactionReceipt: () => Promise.resolve(receipt),
+        blockNumber: () => {
+          block += 1;
+          return Promise.resolve(new BN(block));
+        },
+      };
+
+      return utils.getTransactionSuccess(vap, '0x..', { interval: 1, confirmations: 3 })
+        .then(result => assert.equal(result, receipt));
+    });
+
+    it('should timeout', () => utils.getTransactionSuccess(mockVap([], 10), '0x..', { interval: 1, timeout: 10 })
+      .then(() => assert.isOk(false), err => assert.isOk(err)));
+  });
+
+  describe('transactionFailure', () => {
+    const mockVap = (gas, code) => ({
+      getTransactionByHash: () => Promise.resolve({ gas: new BN(gas) }),
+      getCode: () => Promise.resolve(code),
+    });
+    const receipt = { gasUsed: new BN(21000), contractAddress: '0x3a70a6765746af3bfa974fff9d753d4b6c56b333' };
+
+    it('should function properly', () => {
+      assert.equal(typeof utils.transactionFailure, 'function');
+    });
+
+    it('should detect a failed receipt status', () => utils.transactionFailure(mockVap(3000000, '0x6060'), '0x..', Object.assign({ status: '0x0' }, receipt))
+      .then(failureReason => assert.isOk(failureReason)));
+
+    it('should detect all gas used', () => utils.transactionFailure(mockVap(21000, '0x6060'), '0x..', receipt)
+      .then(failureReason => assert.isOk(failureReason)));
+
+    it('should detect no code', () => utils.transactionFailure(mockVap(3000000, '0x'), '0x..', receipt)
+      .then(failureReason => assert.isOk(failureReason)));
+
+    it('should pass successful transactions', () => utils.transactionFailure(mockVap(3000000, '0x6060'), '0x..', Object.assign({ status: '0x1' }, receipt))
+      .then(failureReason => assert.equal(failureReason, null)));
+
+    it('should pass a successful status, with all gas used', () => utils.transactionFailure(mockVap(21000, '0x6060'), '0x..', Object.assign({ status: '0x1' }, receipt))
+      .then(failureReason => assert.equal(failureReason, null)));
+
+    it('should pass successful calls', () => utils.transactionFailure(mockVap(3000000, '0x'), '0x..', { gasUsed: new BN(21000), contractAddress: null })
+      .then(failureReason => assert.equal(failureReason, null)));
+  });
+
+  describe('waitForContract', () => {
+    const address = '0x3a70a6765746af3bfa974fff9d753d4b6c56b333';
+    const vap = {
+      getTransactionReceipt: () => Promise.resolve({ blockNumber: new BN(10), gasUsed: new BN(21000), contractAddress: address }),
+      blockNumber: () => Promise.resolve(new BN(10)),
+      getTransactionByHash: () => Promise.resolve({ gas: new BN(3000000) }),
+      getCode: () => Promise.resolve('0x6060'),
+    };
+    const factory = { at: contractAddress => ({ address: contractAddress }) };
+
+    it('should function properly', () => {
+      assert.equal(typeof utils.waitForContract, 'function');
+    });
+
+    it('should resolve the contract instance', (done) => {
+      utils.waitForContract(vap, factory, '0x..', { interval: 1 }, (err, instance, details) => {
+        assert.equal(err, null);
+        assert.equal(instance.address, address);
+        assert.equal(instance.receipt.contractAddress, address);
+        assert.deepEqual(details, { confirmations: 1 });
+        done();
+      });
+    });
+  });
+
+  describe('retryCall', () => {
+    it('should call again on errors, until a call succeeds', () => {
+      let calls = 0;
+
+      return utils.retryCall('net_version', () => { calls += 1; return calls < 3 ? Promise.reject('connection reset') : Promise.resolve('3'); }, { backoff: 1 })
+      .then((result) => {
+        assert.equal(result, '3');
+        assert.equal(calls, 3);
+      });
+    });
+
+    it('should reject the last error, after all the attempts', () => {
+      let calls = 0;
+
+      return utils.retryCall('net_version', () => { calls += 1; return Promise.reject(`connection reset ${calls}`); }, { attempts: 2, backoff: 1 })
+      .then(() => assert.fail(), (callError) => {
+        assert.equal(callError, 'connection reset 2');
+        assert.equal(calls, 2);
+      });
+    });
+  });
+
+  describe('retryQuery', () => {
+    const transaction = { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', data: '0x6060' };
+    const failingVap = (failures, secondError) => {
+      const calls = { net_version: 0, sendTransaction: 0, sendRawTransaction: 0 };
+      const respond = (methodName, result) => {
+        calls[methodName] += 1;
+        if (calls[methodName] <= failures) { return Promise.reject('connection reset'); }
+
+        return secondError ? Promise.reject(secondError) : Promise.resolve(result);
+      };
+
+      return {
+        calls,
+        net_version: () => respond('net_version', '3'),
+        sendTransaction: () => respond('sendTransaction', '0xaa'),
+        sendRawTransaction: () => respond('sendRawTransaction', '0xbb'),
+      };
+    };
+
+    it('should retry the read methods, with callbacks', (done) => {
+      const vap = failingVap(2);
+
+      utils.retryQuery(vap, { backoff: 1 }).net_version((versionError, result) => {
+        assert.equal(versionError, null);
+        assert.equal(result, '3');
+        assert.equal(vap.calls.net_version, 3);
+        done();
+      });
+    });
+
+    it('should only resend a transaction with a fixed nonce', () => {
+      const vap = failingVap(2);
+      const query = utils.retryQuery(vap, { backoff: 1 });
+
+      return query.sendTransaction(transaction)
+      .then(() => assert.fail(), () => assert.equal(vap.calls.sendTransaction, 1))
+      .then(() => query.sendTransaction(Object.assign({ nonce: 5 }, transaction)))
+      .then((txHash) => {
+        assert.equal(txHash, '0xaa');
+        assert.equal(vap.calls.sendTransaction, 3);
+      });
+    });
+
+    it('should not resend a transaction sent by a failed attempt', () => {
+      const vap = failingVap(1, 'known transaction');
+
+      return utils.retryQuery(vap, { backoff: 1 }).sendTransaction(Object.assign({ nonce: 5 }, transaction))
+      .then(() => assert.fail(), (sendError) => {
+        assert.include(sendError.message, 'the transaction with nonce 5');
+        assert.equal(sendError.mayBeSent, true);
+        assert.equal(vap.calls.sendTransaction, 2);
+      });
+    });
+
+    it('should mark a transaction which failed after a retry as possibly sent', () => {
+      const vap = failingVap(3);
+
+      return utils.retryQuery(vap, { attempts: 2, backoff: 1 }).sendTransaction(Object.assign({ nonce: 5 }, transaction))
+      .then(() => assert.fail(), (sendError) => {
+        assert.include(sendError.message, 'failed after 2 attempts');
+        assert.equal(sendError.mayBeSent, true);
+      })
+      .then(() => utils.retryQuery(failingVap(1), { attempts: 1 }).sendTransaction(Object.assign({ nonce: 5 }, transaction)))
+      .then(() => assert.fail(), sendError => assert.equal(sendError, 'connection reset'));
+    });
+
+    it('should resolve the hash of a signed transaction sent by a failed attempt', () => {
+      const vap = failingVap(1, 'known transaction');
+
+      return utils.retryQuery(vap, { backoff: 1 }).sendRawTransaction('0xf8')
+      .then(txHash => assert.equal(txHash, `0x${keccak256(Buffer.from('f8', 'hex'))}`));
+    });
+  });
+
+  describe('readOnlyQuery', () => {
+    const vap = {
+      sent: [],
+      blockNumber: () => Promise.resolve(10),
+      sendTransaction(transaction) { this.sent.push(transaction); return Promise.resolve('0xaa'); },
+    };
+
+    it('should refuse to send, and keep the read methods', (done) => {
+      const query = utils.readOnlyQuery(vap, 'nothing is sent in plan mode');
+
+      query.blockNumber()
+      .then(blockNumber => assert.equal(blockNumber, 10))
+      .then(() => query.sendTransaction({ from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768' }))
+      .then(() => assert.fail('should have rejected'), sendError => assert.include(sendError.message, 'nothing is sent in plan mode'))
+      .then(() => query.sendRawTransaction('0xf8', (sendError) => {
+        assert.include(sendError.message, 'sendRawTransaction');
+        assert.equal(vap.sent.length, 0);
+        done();
+      }));
+    });
+  });
+
+  describe('waitForReplacement', () => {
+    const transaction = { from: '0x7f3e74e3dbb4091973ea1b449692c504c35ef768', nonce: 5, gasPrice: 20000000000 };
+    const mockVap = (minedHash) => {
+      let block = 10;
+      const sent = [];
+      return {
+        sent,
+        getTransactionReceipt: hash => Promise.resolve(hash === minedHash ? { blockNumber: new BN(block) } : null),
+        blockNumber: () => { block += 1; return Promise.resolve(new BN(block)); },
+        sendTransaction: (replacement) => { sent.push(replacement); return Promise.resolve(`0xbb${sent.length}`); },
+      };
+    };
+
+    it('should replace a stuck transaction with the same nonce and a bumped gas price', (done) => {
+      const vap = mockVap('0xbb2');
+
+      utils.waitForReplacement(vap, transaction, '0xaa', { interval: 1, replace: { blocks: 2, multiplier: 1.5, maxGasPrice: 40000000000 } }, (replaceError, minedHash, hashes, gasPrices) => {
+        assert.equal(replaceError, null);
+        assert.equal(minedHash, '0xbb2');
+        assert.deepEqual(hashes, ['0xaa', '0xbb1', '0xbb2']);
+        assert.deepEqual(gasPrices, [20000000000, 30000000000, 40000000000]);
+        assert.deepEqual(vap.sent.map(replacement => replacement.nonce), [5, 5]);
+        done();
+      });
+    });
+
+    it('should keep watching at the gas price ceiling, until the timeout', (done) => {
+      const vap = mockVap(null);
+
+      utils.waitForReplacement(vap, transaction, '0xaa', { interval: 1, timeout: 50, replace: { blocks: 1, multiplier: 2, maxGasPrice: 30000000000 } }, (replaceError, minedHash, hashes) => {
+        assert.include(replaceError, 'Receipt timeout');
+        assert.deepEqual(hashes, ['0xaa', '0xbb1']);
+        done();
+      });
+    });
+  });
+
   describe('deployContract', () => {
     it('should function properly', () => {
       assert.equal(typeof utils.deployContract, 'function');
     });
   });
 
+  describe('broadcastContract', () => {
+    it('should send the signed transaction and wait for the contract', (done) => {
+      const address = '0x3a70a6765746af3bfa974fff9d753d4b6c56b333';
+      const vap = {
+        sendRawTransaction: signed => Promise.resolve(signed === '0xf86b' ? '0xaa' : null),
+        getTransactionReceipt: () => Promise.resolve({ blockNumber: new BN(10), gasUsed: new BN(21000), contractAddress: address }),
+        blockNumber: () => Promise.resolve(new BN(10)),
+        getTransactionByHash: () => Promise.resolve({ gas: new BN(3000000) }),
+        getCode: () => Promise.resolve('0x6060'),
+      };
+
+      utils.broadcastContract(vap, { at: contractAddress => ({ address: contractAddress }) }, '0xf86b', { interval: 1 }, (broadcastError, instance) => {
+        assert.equal(broadcastError, null);
+        assert.equal(instance.address, address);
+        done();
+      }, txHash => assert.equal(txHash, '0xaa'));
+    });
+  });
+
+  describe('contractAddress', () => {
+    it('should derive the created contract address from the sender and nonce', () => {
+      assert.equal(utils.contractAddress('0x6ac7ea33f8831ea9dcc53393aaa88b25a785dbf0', 0), '0xcd234a471b72ba2f1ccf0a70fcaba648a5eecd8d');
+      assert.equal(utils.contractAddress('0x6ac7ea33f8831ea9dcc53393aaa88b25a785dbf0', 1), '0x343c43a37d37dff08ae8c4a11544c718abb4fcf8');
+    });
+  });
+
   describe('filterSourceMap', () => {
     it('should function properly', () => {
       const testMap = {
@@ -107,6 +398,92 @@ describe('utils', () => {
     });
   });
 
+  describe('writeOutputFile', () => {
+    const outputConfig = { path: os.tmpdir(), filename: `vapdeploy_test_${Date.now()}.json` };
+    const outputFile = path.resolve(outputConfig.path, outputConfig.filename);
+    const backupFiles = () => fs.readdirSync(outputConfig.path).filter(filename => filename.indexOf(`${outputConfig.filename}_backup_`) === 0);
+
+    after(() => {
+      backupFiles().forEach(filename => fs.unlinkSync(path.resolve(outputConfig.path, filename)));
+      fs.unlinkSync(outputFile);
+    });
+
+    it('should function properly', () => {
+      assert.equal(typeof utils.writeOutputFile, 'function');
+    });
+
+    it('should write the output file', (done) => {
+      utils.writeOutputFile(outputConfig, '{"ropsten":{}}', false, (err, result) => {
+        assert.equal(err, null);
+        assert.equal(result, outputFile);
+        assert.equal(fs.readFileSync(outputFile, 'utf8'), '{"ropsten":{}}');
+        assert.equal(backupFiles().length, 0);
+        done();
+      });
+    });
+
+    it('should back up an existing output file', (done) => {
+      utils.writeOutputFile(outputConfig, '{"ropsten":{"SimpleStore":{}}}', true, (err) => {
+        assert.equal(err, null);
+        assert.equal(fs.readFileSync(outputFile, 'utf8'), '{"ropsten":{"SimpleStore":{}}}');
+        assert.equal(backupFiles().length, 1);
+        assert.equal(fs.readFileSync(path.resolve(outputConfig.path, backupFiles()[0]), 'utf8'), '{"ropsten":{}}');
+        done();
+      });
+    });
+  });
+
+  describe('linkReferences', () => {
+    it('should function properly', () => {
+      assert.equal(typeof utils.linkReferences, 'function');
+      assert.deepEqual(utils.linkReferences('0x6060'), []);
+      assert.deepEqual(utils.linkReferences(''), []);
+      assert.deepEqual(utils.linkReferences(undefined), []);
+    });
+
+    it('should find library names', () => {
+      const bytecode = '0x6060__SafeMath______________________________6060__contracts/Lib.sol:Lib_________________73__SafeMath______________________________';
+
+      assert.deepEqual(utils.linkReferences(bytecode), ['SafeMath', 'contracts/Lib.sol:Lib']);
+    });
+  });
+
+  describe('linkBytecode', () => {
+    it('should function properly', () => {
+      assert.equal(typeof utils.linkBytecode, 'function');
+      assert.equal(utils.linkBytecode('0x6060'), '0x6060');
+      assert.equal(utils.linkBytecode('0x6060', {}), '0x6060');
+    });
+
+    it('should link libraries', () => {
+      const bytecode = '0x6060__SafeMath______________________________6060__contracts/Lib.sol:Lib_________________73__SafeMath______________________________';
+      const safeMath = '0x3A70A6765746AF3BFA974FFF9D753D4B6C56B333';
+      const lib = '0x7f3e74e3dbb4091973ea1b449692c504c35ef768';
+
+      assert.equal(utils.linkBytecode(bytecode, { SafeMath: safeMath, 'contracts/Lib.sol:Lib': lib }),
+        '0x60603a70a6765746af3bfa974fff9d753d4b6c56b33360607f3e74e3dbb4091973ea1b449692c504c35ef768733a70a6765746af3bfa974fff9d753d4b6c56b333');
+    });
+  });
+
+  describe('stripMetadataHash', () => {
+    it('should function properly', () => {
+      const metadata = `a165627a7a72305820${Array(65).join('a')}0029`;
+
+      assert.equal(typeof utils.stripMetadataHash, 'function');
+      assert.equal(utils.stripMetadataHash('0x6060'), '0x6060');
+      assert.equal(utils.stripMetadataHash(`0x6060${metadata}`), '0x6060');
+      assert.equal(utils.stripMetadataHash(`0x6060${metadata}6060${metadata}`), '0x60606060');
+    });
+  });
+
+  describe('bytecodeHash', () => {
+    it('should function properly', () => {
+      assert.equal(typeof utils.bytecodeHash, 'function');
+      assert.equal(utils.bytecodeHash('0x'), '0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+      assert.equal(utils.bytecodeHash('0x6060'), utils.bytecodeHash('6060'));
+    });
+  });
+
   describe('bnToString', () => {
     it('should function properly', () => {
       assert.equal(typeof utils.bnToString, 'function');